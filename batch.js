@@ -0,0 +1,333 @@
+/*
+ * Batch runner: the /api/plu-parse pipeline without the web server.
+ *
+ *   node batch.js [options] <reglement.pdf ...>
+ *   node batch.js [options] --manifest communes.csv|communes.json
+ *
+ * Manifest entries: commune_insee, commune_nom, and path (local PDF, relative
+ * to the manifest) or url. CSV may be comma or semicolon separated; JSON is an
+ * array of objects. Local PDFs given on the command line take their INSEE code
+ * from --commune-insee or from a file name starting with it ("75056_paris.pdf").
+ *
+ * Each result is appended to the JSONL output as soon as it is done. Entries
+ * already present with success: true are skipped on the next run, so an
+ * interrupted backfill resumes where it stopped; failed entries are retried.
+ */
+
+import "dotenv/config";
+
+import { createReadStream, promises as fs } from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+import { runPluParse } from "./index.js";
+
+const USAGE = `Usage:
+  node batch.js [options] <reglement.pdf ...>
+  node batch.js [options] --manifest communes.csv|communes.json
+
+Options:
+  --manifest <file>       CSV or JSON list of communes (commune_insee, commune_nom, path | url)
+  --out <file>            JSONL results, appended (default: plu-batch-results.jsonl)
+  --summary <file>        run summary (default: <out>.summary.json)
+  --concurrency <n>       communes processed in parallel (default: 2)
+  --backend <name>        openai | local | regex (default: PLU_EXTRACTION_BACKEND)
+  --max-zones <n>         zones per commune, 0 = no limit
+  --ocr <mode>            auto | force | off
+  --commune-insee <code>  INSEE code for PDFs given on the command line
+  --commune-nom <name>    commune name for PDFs given on the command line
+  --force-refresh         ignore cached text and rulesets
+  --rerun                 process entries already recorded as succeeded`;
+
+class BatchUsageError extends Error {}
+
+const FLAGS = new Set(["--force-refresh", "--rerun", "--help"]);
+
+function parseArgs(argv) {
+  const options = { files: [], concurrency: 2, out: "plu-batch-results.jsonl" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      options.files.push(arg);
+      continue;
+    }
+    const name = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (FLAGS.has(arg)) {
+      options[name] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) throw new BatchUsageError(`${arg} needs a value`);
+    options[name] = value;
+  }
+
+  options.concurrency = Number(options.concurrency);
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new BatchUsageError("--concurrency must be a positive integer");
+  }
+  if (!options.help && !options.manifest && options.files.length === 0) {
+    throw new BatchUsageError("give PDF files or --manifest");
+  }
+  if (options.manifest && options.files.length > 0) {
+    throw new BatchUsageError("give either PDF files or --manifest, not both");
+  }
+  options.summary = options.summary || `${options.out.replace(/\.jsonl$/, "")}.summary.json`;
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MANIFEST
+// ─────────────────────────────────────────────────────────────────────────────
+
+// One CSV line: quoted fields may contain the separator and doubled quotes
+function splitCsvLine(line, separator) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseCsv(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) return [];
+  const separator = lines[0].split(";").length > lines[0].split(",").length ? ";" : ",";
+  const header = splitCsvLine(lines[0], separator).map((h) => h.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const values = splitCsvLine(line, separator);
+    return Object.fromEntries(header.map((key, i) => [key, values[i] ?? ""]));
+  });
+}
+
+async function readManifest(file) {
+  const text = await fs.readFile(file, "utf8");
+  const rows = file.toLowerCase().endsWith(".json") ? JSON.parse(text) : parseCsv(text);
+  if (!Array.isArray(rows)) throw new BatchUsageError(`${file}: expected an array of communes`);
+
+  const baseDir = path.dirname(path.resolve(file));
+  return rows.map((row) => {
+    const source = row.path || row.url || row.source_pdf_url || "";
+    const isUrl = /^https?:\/\//i.test(source);
+    return {
+      commune_insee: String(row.commune_insee || "").trim() || null,
+      commune_nom: row.commune_nom || null,
+      url: isUrl ? source : null,
+      path: source && !isUrl ? path.resolve(baseDir, source) : null,
+    };
+  });
+}
+
+function entriesFromFiles(files, options) {
+  return files.map((file) => ({
+    commune_insee: options.communeInsee || /^(\d[\dAB]\d{3})(?!\d)/.exec(path.basename(file))?.[1] || null,
+    commune_nom: options.communeNom || null,
+    url: null,
+    path: path.resolve(file),
+  }));
+}
+
+function entryKey(entry) {
+  return `${entry.commune_insee}|${entry.url || entry.path}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESULTS (JSONL)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// What resuming and the summary need from a record: the parse payload is left in the file
+function recordStatus(record) {
+  return {
+    key: record.key,
+    commune_insee: record.commune_insee,
+    source: record.source,
+    success: record.success,
+    error: record.error,
+    zones_processed: record.zones_processed,
+  };
+}
+
+// Latest record status per entry, read line by line; a truncated last line (interrupted write) is ignored
+async function readResults(file) {
+  const records = new Map();
+  const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        records.set(record.key, recordStatus(record));
+      } catch {
+        // partial line
+      }
+    }
+  } catch (err) {
+    if (err.code === "ENOENT") return records;
+    throw err;
+  }
+  return records;
+}
+
+async function processEntry(entry, options) {
+  const started = Date.now();
+  const record = {
+    key: entryKey(entry),
+    commune_insee: entry.commune_insee,
+    commune_nom: entry.commune_nom,
+    source: entry.url || entry.path,
+    started_at: new Date(started).toISOString(),
+  };
+
+  const body = {
+    commune_insee: entry.commune_insee,
+    commune_nom: entry.commune_nom,
+    extraction_backend: options.backend,
+    max_zones: options.maxZones,
+    ocr: options.ocr,
+    force_refresh: options.forceRefresh === true,
+  };
+
+  let outcome;
+  if (!entry.commune_insee) {
+    outcome = { status: 400, payload: { success: false, error: "MISSING_COMMUNE_INSEE" } };
+  } else if (!entry.url && !entry.path) {
+    outcome = { status: 400, payload: { success: false, error: "MISSING_SOURCE" } };
+  } else {
+    try {
+      let files = [];
+      if (entry.url) {
+        body.source_pdf_url = entry.url;
+      } else {
+        const buffer = await fs.readFile(entry.path);
+        files = [{ fieldname: "file", originalname: path.basename(entry.path), buffer, size: buffer.length }];
+      }
+      outcome = await runPluParse(body, files);
+    } catch (err) {
+      const error = err.code === "ENOENT" ? "FILE_NOT_FOUND" : "PLU_PARSER_INTERNAL_ERROR";
+      outcome = { status: 500, payload: { success: false, error, message: err.message } };
+    }
+  }
+
+  return {
+    ...record,
+    finished_at: new Date().toISOString(),
+    duration_ms: Date.now() - started,
+    status: outcome.status,
+    success: outcome.payload.success === true,
+    error: outcome.payload.success ? null : outcome.payload.error || null,
+    zones_processed: outcome.payload.meta?.zones_processed ?? 0,
+    result: outcome.payload,
+  };
+}
+
+function buildSummary(entries, records, run) {
+  const latest = entries.map((entry) => records.get(entryKey(entry))).filter(Boolean);
+  const failed = latest.filter((r) => !r.success);
+  const errors = {};
+  for (const r of failed) errors[r.error || "UNKNOWN"] = (errors[r.error || "UNKNOWN"] || 0) + 1;
+
+  return {
+    started_at: run.started_at,
+    finished_at: new Date().toISOString(),
+    duration_ms: Date.now() - Date.parse(run.started_at),
+    interrupted: run.interrupted,
+    output: run.out,
+    total: entries.length,
+    processed: run.processed,
+    skipped: run.skipped,
+    pending: entries.length - latest.length,
+    succeeded: latest.length - failed.length,
+    failed: failed.length,
+    zones_processed: latest.reduce((sum, r) => sum + (r.zones_processed || 0), 0),
+    errors,
+    failures: failed.map((r) => ({ commune_insee: r.commune_insee, source: r.source, error: r.error })),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RUN
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const entries = options.manifest ? await readManifest(options.manifest) : entriesFromFiles(options.files, options);
+  const records = await readResults(options.out);
+  const todo = entries.filter((entry) => options.rerun || records.get(entryKey(entry))?.success !== true);
+
+  const run = {
+    started_at: new Date().toISOString(),
+    out: options.out,
+    processed: 0,
+    skipped: entries.length - todo.length,
+    interrupted: false,
+  };
+  console.log(
+    `[PLU-BATCH] ${entries.length} commune(s), ${run.skipped} already done, ${todo.length} to process (concurrency ${options.concurrency})`,
+  );
+
+  // Ctrl-C: finish the running communes, start no new one
+  process.once("SIGINT", () => {
+    run.interrupted = true;
+    console.log("[PLU-BATCH] Interrupted: waiting for running communes");
+  });
+
+  let next = 0;
+  const worker = async () => {
+    while (!run.interrupted && next < todo.length) {
+      const entry = todo[next++];
+      const record = await processEntry(entry, options);
+      await fs.appendFile(options.out, `${JSON.stringify(record)}\n`);
+      records.set(record.key, recordStatus(record));
+      run.processed++;
+      console.log(
+        `[PLU-BATCH] [${run.processed}/${todo.length}] ${entry.commune_insee || "?"} ${record.success ? "✅" : `❌ ${record.error}`} (${record.zones_processed} zones, ${record.duration_ms} ms)`,
+      );
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, todo.length) }, worker));
+
+  const summary = buildSummary(entries, records, run);
+  await fs.writeFile(options.summary, `${JSON.stringify(summary, null, 2)}\n`);
+  console.log(
+    `[PLU-BATCH] Done: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.pending} pending → ${options.out}, ${options.summary}`,
+  );
+  return summary.failed > 0 || summary.pending > 0 ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    if (err instanceof BatchUsageError) {
+      console.error(`[PLU-BATCH] ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error("[PLU-BATCH] Fatal error:", err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,448 @@
+/*
+ * Accuracy evaluation against a golden corpus of expert-verified rulesets.
+ *
+ *   node evaluate.js [options] [corpus-dir]     (default corpus: eval/corpus)
+ *
+ * Corpus layout, one directory per fixture:
+ *   <fixture>/fixture.json
+ *     {
+ *       "commune_insee": "75056",
+ *       "commune_nom": "Paris",
+ *       "documents": ["reglement.pdf"] | [{ "path": "reglement.txt", "label", "role" }],
+ *       "ocr": "off",                    optional, default off
+ *       "structure": "ARTICLES",         optional, overrides the detected structure
+ *       "zones": { "UA": { <ruleset> }, "UB": { ... } }
+ *     }
+ *   <fixture>/reglement.pdf | reglement.txt   (.txt: pages separated by form feeds)
+ *   <fixture>/llm_responses.json              recorded LLM responses (--record)
+ *
+ * Expected rulesets have the shape of the API output and may be partial: only
+ * the DIFF_FIELDS paths they define are scored, and null means "the règlement
+ * sets no such rule". Each scored field is exact, within tolerance (numbers
+ * within --tolerance, relative), null-mismatch (a value where null was
+ * expected or the reverse), wrong, or missing (zone not extracted).
+ *
+ * The default "replay" backend answers every LLM call from llm_responses.json,
+ * keyed by a hash of the prompt messages, so a run is offline and deterministic.
+ * A prompt change changes the keys: record again with --backend openai|local
+ * --record, then compare the reports. A replay with unrecorded prompts exits
+ * with code 1.
+ */
+
+import "dotenv/config";
+
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+import OpenAI from "openai";
+
+// Evaluation must not read rulesets cached by earlier runs, nor write to the server's cache
+process.env.PLU_CACHE_STORE = "none";
+const { runPluParse, createLLMBackend, zoneType, DIFF_FIELDS, PARSER_VERSION } = await import("./index.js");
+
+const USAGE = `Usage:
+  node evaluate.js [options] [corpus-dir]
+
+Options:
+  --backend <name>       replay | openai | local | regex (default: replay)
+  --record               with openai | local: save the LLM responses into each fixture
+  --fixture <name>       evaluate this fixture only
+  --tolerance <ratio>    relative tolerance on numbers (default: 0.05)
+  --report <file>        JSON report (default: eval-report.json)
+  --min-accuracy <ratio> exit with code 1 below this accuracy
+  --verbose              print every field that is not exact`;
+
+class EvalUsageError extends Error {}
+
+const FLAGS = new Set(["--record", "--verbose", "--help"]);
+const BACKENDS = ["replay", "openai", "local", "regex"];
+const OUTCOMES = ["exact", "tolerance", "null_mismatch", "wrong", "missing"];
+const RESPONSES_FILE = "llm_responses.json";
+
+function parseArgs(argv) {
+  const options = { corpus: "eval/corpus", backend: "replay", tolerance: 0.05, report: "eval-report.json" };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (FLAGS.has(arg)) {
+      options[name] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) throw new EvalUsageError(`${arg} needs a value`);
+    options[name] = value;
+  }
+
+  if (positional.length > 1) throw new EvalUsageError("give at most one corpus directory");
+  if (positional.length === 1) options.corpus = positional[0];
+  if (!BACKENDS.includes(options.backend)) {
+    throw new EvalUsageError(`--backend must be one of ${BACKENDS.join(", ")}`);
+  }
+  if (options.record && !["openai", "local"].includes(options.backend)) {
+    throw new EvalUsageError("--record needs --backend openai or local");
+  }
+  options.tolerance = Number(options.tolerance);
+  if (!(options.tolerance >= 0)) throw new EvalUsageError("--tolerance must be a non-negative number");
+  if (options.minAccuracy !== undefined) {
+    options.minAccuracy = Number(options.minAccuracy);
+    if (!(options.minAccuracy >= 0 && options.minAccuracy <= 1)) {
+      throw new EvalUsageError("--min-accuracy must be between 0 and 1");
+    }
+  }
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CORPUS
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" && fallback !== undefined) return fallback;
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+async function loadCorpus(dir, only) {
+  let names;
+  try {
+    names = (await fs.readdir(dir, { withFileTypes: true })).filter((e) => e.isDirectory()).map((e) => e.name);
+  } catch (err) {
+    if (err.code === "ENOENT") throw new EvalUsageError(`corpus directory ${dir} not found`);
+    throw err;
+  }
+
+  const fixtures = [];
+  for (const name of names.sort()) {
+    if (only && name !== only) continue;
+    const fixtureDir = path.join(dir, name);
+    const definition = await readJson(path.join(fixtureDir, "fixture.json"), null);
+    if (!definition) continue;
+    if (!definition.zones || typeof definition.zones !== "object" || !Array.isArray(definition.documents)) {
+      throw new Error(`${name}/fixture.json: needs "documents" (array) and "zones" (object)`);
+    }
+    fixtures.push({ name, dir: fixtureDir, ...definition });
+  }
+  if (only && fixtures.length === 0) throw new EvalUsageError(`fixture ${only} not found in ${dir}`);
+  return fixtures;
+}
+
+// Fixture documents as runPluParse uploads; .txt files are passed as extracted text
+async function fixtureInput(fixture) {
+  const documents = [];
+  const files = [];
+  const textUploads = new Set();
+  for (const [i, entry] of fixture.documents.entries()) {
+    const { path: relPath, label = null, role = null } = typeof entry === "string" ? { path: entry } : entry;
+    const buffer = await fs.readFile(path.join(fixture.dir, relPath));
+    const fieldname = `document_${i}`;
+    if (relPath.toLowerCase().endsWith(".txt")) textUploads.add(fieldname);
+    files.push({ fieldname, originalname: relPath, buffer, size: buffer.length });
+    documents.push({ label, role, file: fieldname });
+  }
+  const body = {
+    commune_insee: fixture.commune_insee,
+    commune_nom: fixture.commune_nom || null,
+    documents,
+    max_zones: 0,
+    ocr: fixture.ocr || "off",
+    force_refresh: true,
+  };
+  return { body, files, textUploads };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LLM RECORD / REPLAY
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The model is left out: a recording stays valid when OPENAI_MODEL changes
+function requestKey(request) {
+  return createHash("sha256").update(JSON.stringify(request.messages)).digest("hex");
+}
+
+/**
+ * OpenAI-compatible client answering from (or recording into) a fixture's
+ * responses; unknown prompts are listed in session.missing.
+ */
+function createRecordingClient(session, liveClient) {
+  const create = async (request) => {
+    const key = requestKey(request);
+    if (!liveClient) {
+      const recorded = session.responses[key];
+      if (!recorded) {
+        session.missing.push(key);
+        throw new Error(`no recorded LLM response for prompt ${key.slice(0, 12)}`);
+      }
+      session.used.add(key);
+      return { choices: [{ message: { role: "assistant", content: recorded.content } }], usage: recorded.usage || null };
+    }
+    const completion = await liveClient.chat.completions.create(request);
+    const userMessage = request.messages.find((m) => m.role === "user")?.content || "";
+    session.recorded[key] = {
+      model: request.model,
+      prompt: userMessage.split("\n")[0].slice(0, 120),
+      content: completion.choices[0]?.message?.content ?? "",
+      usage: completion.usage || null,
+      recorded_at: new Date().toISOString(),
+    };
+    return completion;
+  };
+  return { chat: { completions: { create } } };
+}
+
+function createLiveClient(backend) {
+  if (backend === "openai") {
+    if (!process.env.OPENAI_API_KEY) throw new EvalUsageError("OPENAI_API_KEY is not set");
+    return { client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }), model: process.env.OPENAI_MODEL || "gpt-4o-mini" };
+  }
+  if (!process.env.LOCAL_LLM_BASE_URL || !process.env.LOCAL_LLM_MODEL) {
+    throw new EvalUsageError("LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL must be set for the local backend");
+  }
+  return {
+    client: new OpenAI({ baseURL: process.env.LOCAL_LLM_BASE_URL, apiKey: process.env.LOCAL_LLM_API_KEY || "local" }),
+    model: process.env.LOCAL_LLM_MODEL,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCORING
+// ─────────────────────────────────────────────────────────────────────────────
+
+function getPath(obj, fieldPath) {
+  return fieldPath.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+const isEmpty = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+const OUTCOME_RANK = { exact: 0, tolerance: 1, wrong: 2 };
+const worst = (outcomes) => outcomes.reduce((a, b) => (OUTCOME_RANK[b] > OUTCOME_RANK[a] ? b : a), "exact");
+
+/**
+ * Nested comparison for non-null values: objects on the keys the expert gave
+ * (notes and provenance ignored), arrays item by item, numbers with tolerance.
+ */
+function compareValue(expected, actual, tolerance) {
+  if (isEmpty(expected) || isEmpty(actual)) return isEmpty(expected) && isEmpty(actual) ? "exact" : "wrong";
+  if (typeof expected === "number") {
+    if (typeof actual !== "number") return "wrong";
+    const diff = Math.abs(actual - expected);
+    if (diff < 1e-9) return "exact";
+    return diff <= Math.abs(expected) * tolerance ? "tolerance" : "wrong";
+  }
+  if (typeof expected === "string") {
+    return typeof actual === "string" && expected.trim().toUpperCase() === actual.trim().toUpperCase() ? "exact" : "wrong";
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) return "wrong";
+    // Order-insensitive: each expected item is paired with its best remaining match
+    const remaining = [...actual];
+    return worst(
+      expected.map((item) => {
+        const scored = remaining.map((candidate) => compareValue(item, candidate, tolerance));
+        if (scored.length === 0) return "wrong";
+        const best = scored.reduce((bi, outcome, i) => (OUTCOME_RANK[outcome] < OUTCOME_RANK[scored[bi]] ? i : bi), 0);
+        remaining.splice(best, 1);
+        return scored[best];
+      }),
+    );
+  }
+  if (typeof expected === "object") {
+    if (typeof actual !== "object") return "wrong";
+    return worst(
+      Object.entries(expected)
+        .filter(([key]) => key !== "note" && key !== "provenance")
+        .map(([key, value]) => compareValue(value, actual[key], tolerance)),
+    );
+  }
+  return expected === actual ? "exact" : "wrong";
+}
+
+function scoreField(expected, actual, tolerance) {
+  if (isEmpty(expected) !== isEmpty(actual)) return "null_mismatch";
+  return compareValue(expected, actual, tolerance);
+}
+
+function scoreZone(expected, zoneEntry, tolerance) {
+  const fields = [];
+  for (const { path: field } of DIFF_FIELDS) {
+    const expectedValue = getPath(expected, field);
+    if (expectedValue === undefined) continue;
+    const actualValue = zoneEntry ? getPath(zoneEntry.ruleset, field) ?? null : null;
+    const outcome = zoneEntry ? scoreField(expectedValue, actualValue, tolerance) : "missing";
+    fields.push({ field, outcome, expected: expectedValue, actual: actualValue });
+  }
+  return fields;
+}
+
+const emptyCounts = () => Object.fromEntries([["fields", 0], ...OUTCOMES.map((o) => [o, 0]), ["accuracy", null]]);
+
+function tally(groups, key, outcome) {
+  const counts = (groups[key] = groups[key] || emptyCounts());
+  counts.fields++;
+  counts[outcome]++;
+  counts.accuracy = Math.round(((counts.exact + counts.tolerance) / counts.fields) * 1000) / 1000;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RUN
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function evaluateFixture(fixture, options, live) {
+  const responsesFile = path.join(fixture.dir, RESPONSES_FILE);
+  const recordings = await readJson(responsesFile, { responses: {} });
+  const session = { responses: recordings.responses || {}, recorded: {}, used: new Set(), missing: [] };
+
+  const { body, files, textUploads } = await fixtureInput(fixture);
+  const hooks = { textUploads };
+  if (options.backend === "replay") {
+    hooks.backend = createLLMBackend("replay", createRecordingClient(session, null), recordings.model || null);
+  } else if (live) {
+    hooks.backend = createLLMBackend(options.backend, createRecordingClient(session, live.client), live.model);
+  }
+
+  if (!hooks.backend) body.extraction_backend = options.backend;
+  const { payload } = await runPluParse(body, files, hooks);
+
+  if (options.record) {
+    const model = Object.values(session.recorded)[0]?.model || null;
+    await fs.writeFile(responsesFile, `${JSON.stringify({ model, responses: session.recorded }, null, 2)}\n`);
+  }
+
+  const structure = fixture.structure || payload.meta?.reglement_structure || "UNKNOWN";
+  const outputZones = new Map((payload.zones_rulesets || []).map((z) => [z.zone_code, z]));
+  const zones = Object.entries(fixture.zones).map(([zoneCode, expected]) => {
+    const zoneEntry = outputZones.get(zoneCode) || null;
+    return {
+      zone_code: zoneCode,
+      type_zone: zoneEntry?.type_zone || zoneType(zoneCode) || "UNKNOWN",
+      found: !!zoneEntry,
+      fields: scoreZone(expected, zoneEntry, options.tolerance),
+    };
+  });
+
+  return {
+    name: fixture.name,
+    success: payload.success === true,
+    error: payload.success ? null : payload.error || null,
+    structure,
+    warnings: payload.meta?.warnings || payload.warnings || [],
+    missing_recordings: [...new Set(session.missing)].length,
+    unused_recordings: options.backend === "replay" ? Object.keys(session.responses).filter((k) => !session.used.has(k)).length : 0,
+    zones,
+  };
+}
+
+function buildReport(results, options) {
+  const report = {
+    generated_at: new Date().toISOString(),
+    corpus: options.corpus,
+    backend: options.backend,
+    parser_version: PARSER_VERSION,
+    tolerance: options.tolerance,
+    totals: emptyCounts(),
+    by_field: {},
+    by_zone_type: {},
+    by_structure: {},
+    fixtures: results,
+  };
+  const totals = { all: report.totals };
+  for (const fixture of results) {
+    for (const zone of fixture.zones) {
+      for (const { field, outcome } of zone.fields) {
+        tally(totals, "all", outcome);
+        tally(report.by_field, field, outcome);
+        tally(report.by_zone_type, zone.type_zone, outcome);
+        tally(report.by_structure, fixture.structure, outcome);
+      }
+    }
+  }
+  report.totals = totals.all;
+  return report;
+}
+
+function printTable(title, groups) {
+  const rows = Object.entries(groups);
+  if (rows.length === 0) return;
+  const width = Math.max(title.length, ...rows.map(([key]) => key.length));
+  const header = ["fields", ...OUTCOMES, "accuracy"];
+  console.log(`\n${title.padEnd(width)}  ${header.map((h) => h.padStart(15)).join("")}`);
+  for (const [key, counts] of rows) {
+    const cells = header.map((h) => (h === "accuracy" ? `${(counts.accuracy * 100).toFixed(1)} %` : String(counts[h])));
+    console.log(`${key.padEnd(width)}  ${cells.map((c) => c.padStart(15)).join("")}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const live = ["openai", "local"].includes(options.backend) ? createLiveClient(options.backend) : null;
+  const fixtures = await loadCorpus(options.corpus, options.fixture);
+  console.log(`[PLU-EVAL] ${fixtures.length} fixture(s) in ${options.corpus}, backend ${options.backend}`);
+
+  const results = [];
+  for (const fixture of fixtures) {
+    const result = await evaluateFixture(fixture, options, live);
+    results.push(result);
+    const fields = result.zones.flatMap((z) => z.fields);
+    const correct = fields.filter((f) => f.outcome === "exact" || f.outcome === "tolerance").length;
+    console.log(
+      `[PLU-EVAL] ${fixture.name}: ${result.success ? "✅" : `❌ ${result.error || "no zone extracted"}`} ${correct}/${fields.length} fields correct` +
+        (result.missing_recordings > 0 ? `, ⚠️ ${result.missing_recordings} LLM response(s) not recorded` : ""),
+    );
+    if (options.verbose) {
+      for (const zone of result.zones) {
+        for (const f of zone.fields.filter((f) => f.outcome !== "exact")) {
+          console.log(`    ${zone.zone_code} ${f.field}: ${f.outcome} (expected ${JSON.stringify(f.expected)}, got ${JSON.stringify(f.actual)})`);
+        }
+      }
+    }
+  }
+
+  const report = buildReport(results, options);
+  printTable("field", report.by_field);
+  printTable("zone type", report.by_zone_type);
+  printTable("structure", report.by_structure);
+  printTable("total", { all: report.totals });
+
+  await fs.writeFile(options.report, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(`\n[PLU-EVAL] Report → ${options.report}`);
+
+  let code = 0;
+  // A missing recording scores as an extraction failure: the replay is out of date, not the parser
+  const missing = results.reduce((sum, r) => sum + r.missing_recordings, 0);
+  if (options.backend === "replay" && missing > 0) {
+    console.error(`[PLU-EVAL] ${missing} LLM response(s) not recorded: record the fixtures again`);
+    code = 1;
+  }
+  if (options.minAccuracy !== undefined && (report.totals.accuracy ?? 0) < options.minAccuracy) {
+    console.error(`[PLU-EVAL] Accuracy ${report.totals.accuracy} below ${options.minAccuracy}`);
+    code = 1;
+  }
+  return code;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    if (err instanceof EvalUsageError) {
+      console.error(`[PLU-EVAL] ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error("[PLU-EVAL] Fatal error:", err);
+    process.exitCode = 1;
+  });
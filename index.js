@@ -1,38 +1,70 @@
 import "dotenv/config";
 
+import { execFile } from "node:child_process";
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import dns from "node:dns";
+import { promises as fs, readFileSync, realpathSync, statSync } from "node:fs";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
 import express from "express";
+import multer from "multer";
 import OpenAI from "openai";
 import pdf from "pdf-parse";
 
 console.log("🚀 PLU PARSER MODE=target_zone supported");
-console.log(
-  "🔑 OPENAI_API_KEY prefix =",
-  (process.env.OPENAI_API_KEY || "").slice(0, 15),
-);
+console.log(`🔑 OPENAI_API_KEY ${process.env.OPENAI_API_KEY ? "set" : "not set"}`);
 
 const app = express();
 
-app.use(express.json({ limit: "10mb" }));
+const SERVER_PARSER_KEY = process.env.PLU_PARSER_API_KEY;
+const PORT = process.env.PORT || 3000;
 
-app.use((err, req, res, next) => {
-  if (err && err.type === "entity.parse.failed") {
-    console.error("[PLU-PARSER] INVALID_JSON", err.message);
-    return res.status(400).json({ success: false, error: "INVALID_JSON" });
-  }
-  return next(err);
-});
+const DEFAULT_OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+const DEFAULT_EXTRACTION_BACKEND = (process.env.PLU_EXTRACTION_BACKEND || "openai").toLowerCase();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Bump whenever prompts, excerpt building or post-processing change: cached
+// rulesets from older versions are then ignored.
+const PARSER_VERSION = "2024.06-15";
 
-const SERVER_PARSER_KEY = process.env.PLU_PARSER_API_KEY;
-const PORT = process.env.PORT || 3000;
+// Storey height used to convert R+n limits into metres (overridable per request)
+const DEFAULT_STOREY_HEIGHT_M = Number(process.env.PLU_STOREY_HEIGHT_M) || 3;
+
+// Surface de plancher / (emprise × niveaux): walls, stairwells and shafts are not counted
+const DEFAULT_SURFACE_PLANCHER_RATIO = Number(process.env.PLU_SURFACE_PLANCHER_RATIO) || 0.8;
+
+const JOBS_CONCURRENCY = Math.max(1, Number(process.env.PLU_JOBS_CONCURRENCY) || 2);
+const JOBS_MAX_QUEUED = Number(process.env.PLU_JOBS_MAX_QUEUED) || 100;
+const JOBS_MAX_QUEUED_BYTES = Number(process.env.PLU_JOBS_MAX_QUEUED_MB || 500) * 1024 * 1024;
+const JOBS_RETENTION_MS = Number(process.env.PLU_JOBS_RETENTION_S || 24 * 3600) * 1000;
+
+// Zone caps, 0 = no limit. Processing is capped because each zone is one LLM call.
+const MAX_DISCOVERED_ZONES = Number(process.env.PLU_MAX_DISCOVERED_ZONES) || 0;
+const MAX_PROCESSED_ZONES = Number(process.env.PLU_MAX_PROCESSED_ZONES ?? 12);
+
+const MAX_UPLOAD_BYTES = 60 * 1024 * 1024;
+const MAX_SOURCE_DOCUMENTS = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_SOURCE_DOCUMENTS },
+});
 
 // ─────────────────────────────────────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Tmp file for an atomic write (write, then rename), unique per write: two
+// concurrent writes of the same file never share one
+function tmpPathFor(file) {
+  return `${file}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+}
+
 function normalizeText(text) {
   return text
     .replace(/\r\n/g, "\n")
@@ -46,9 +78,12 @@ function normalizeText(text) {
  */
 function normalizeZoneCode(code) {
   if (!code) return null;
-  let normalized = code.trim().toUpperCase();
   // Remove "ZONE " prefix if present
-  normalized = normalized.replace(/^ZONE\s+/i, "");
+  let normalized = code.trim().replace(/^ZONE\s+/i, "").replace(/\s+/g, "");
+  // Sector codes keep their lowercase suffix (UAa, 1AUh, Nzh); single-case input is uppercased
+  if (!/^\d?[A-Z]+[a-z][a-z0-9]*$/.test(normalized)) {
+    normalized = normalized.toUpperCase();
+  }
   return normalized || null;
 }
 
@@ -180,6 +215,173 @@ function extractPlacesPar100m2(text) {
   return null;
 }
 
+/*
+ * Article 12 usually lists one ratio per destination, a bicycle storage
+ * requirement and, near stations, a cap on the number of car spaces:
+ *   "Bureaux : 1 place pour 40 m² de surface de plancher"
+ *   "Vélos : 1,5 m² par logement"
+ *   "A moins de 500 m d'une gare, il n'est exigé qu'une place par logement"
+ */
+const PARKING_DESTINATIONS = [
+  // Specific before generic: "logements sociaux" is not plain LOGEMENT
+  ["LOGEMENT_SOCIAL", /logements?\s+(?:locatifs?\s+)?sociaux|logements?\s+(?:locatifs?\s+)?social|logements?\s+aid[ée]s?|pr[êe]ts?\s+aid[ée]s?\s+par\s+l'[ÉE]tat/i],
+  ["HEBERGEMENT_HOTELIER", /h[ée]bergement\s+h[ôo]telier|h[ôo]tels?\b/i],
+  ["BUREAUX", /bureaux?\b/i],
+  ["COMMERCE", /commerces?\b|commercia|artisanat/i],
+  ["EQUIPEMENT", /[ée]quipements?|services?\s+publics?|CINASPIC/i],
+  ["INDUSTRIE", /industri|entrep[ôo]ts?/i],
+  ["LOGEMENT", /logements?\b|habitations?\b/i],
+];
+
+const PARKING_DESTINATION_CODES = PARKING_DESTINATIONS.map(([code]) => code);
+
+// "1,5 %" → 0.015 (percentToRatio would read a bare 1 as already being a ratio)
+function percentValue(str) {
+  const value = parseFrenchDecimal(str);
+  return value === null ? null : Math.round(value * 100) / 10000;
+}
+
+const VELO_MENTION = /v[ée]los?\b|cycles\b|deux[\s-]roues/i;
+const TRANSIT_MENTION = /\bgares?\b|stations?\b|transports?\s+(?:en\s+commun|collectifs?|publics?)|tramway|m[ée]tro|p[ôo]les?\s+d'[ée]changes?|\bTCSP\b/i;
+
+// Statutory caps near public transport (Code de l'urbanisme L.151-35 and L.151-36)
+const STATUTORY_PARKING_CAPS = [
+  { article: "L.151-35", destination: "LOGEMENT_SOCIAL", rayon_m: 500, places_max_par_logement: 0.5 },
+  { article: "L.151-36", destination: "LOGEMENT", rayon_m: 500, places_max_par_logement: 1 },
+];
+
+/**
+ * Article text cut into list items and sentences. List items are often
+ * separated by a single line break, which splitSentences treats as wrapping.
+ */
+function parkingSegments(text) {
+  if (!text) return [];
+  return text
+    .split(/\n(?=\s*(?:[-–•▪*]\s|[A-ZÀ-Ÿ]))/)
+    .flatMap((segment) => splitSentences(segment.replace(/^\s*[-–•▪*]\s+/, "")));
+}
+
+/**
+ * Destination a ratio applies to: the closest destination named before it,
+ * else one named after it in the same segment.
+ */
+function findParkingDestination(segment, ratioIndex) {
+  const closest = (text, pickLast) => {
+    let best = null;
+    for (const [destination, pattern] of PARKING_DESTINATIONS) {
+      const match = new RegExp(pattern.source, "gi");
+      let m;
+      while ((m = match.exec(text)) !== null) {
+        if (!best || (pickLast ? m.index > best.index : m.index < best.index)) {
+          best = { destination, index: m.index };
+        }
+      }
+    }
+    return best?.destination ?? null;
+  };
+  return closest(segment.slice(0, ratioIndex), true) ?? closest(segment.slice(ratioIndex), false);
+}
+
+/**
+ * Car parking ratios of one segment:
+ *   "2 places par logement"            → { places_par_logement: 2 }
+ *   "1 place pour 40 m² de SDP"        → { places_par_100m2: 2.5 }
+ *   "1 place pour 3 chambres"          → { places_par_chambre: 0.33 }
+ */
+function parseParkingRatios(segment) {
+  const ratios = [];
+  const pattern = /(\d+(?:[.,]\d+)?|une?)\s*places?(?:\s+de\s+stationnement)?\s*(?:par|pour|\/)\s*(?:tranche\s+(?:enti[èe]re\s+)?de\s+|chaque\s+)?(\d+(?:[.,]\d+)?\s*)?(logements?|chambres?|m²|m2)/gi;
+  let match;
+  while ((match = pattern.exec(segment)) !== null) {
+    const places = /^une?$/i.test(match[1]) ? 1 : parseFrenchDecimal(match[1]);
+    const per = match[2] ? parseFrenchDecimal(match[2]) : 1;
+    const unit = match[3].toLowerCase();
+    if (places === null || !per) continue;
+
+    const ratio = { index: match.index, places_par_logement: null, places_par_100m2: null, places_par_chambre: null };
+    if (unit.startsWith("logement")) ratio.places_par_logement = Math.round((places / per) * 100) / 100;
+    else if (unit.startsWith("chambre")) ratio.places_par_chambre = Math.round((places / per) * 100) / 100;
+    else ratio.places_par_100m2 = Math.round(((places * 100) / per) * 100) / 100;
+    ratios.push(ratio);
+  }
+  return ratios;
+}
+
+/**
+ * [{ destination, places_par_logement, places_par_100m2, places_par_chambre, note }]
+ * – first ratio found for each destination, bicycle and transit clauses excluded.
+ */
+function extractParkingDestinations(text) {
+  const byDestination = new Map();
+  for (const segment of parkingSegments(text)) {
+    if (VELO_MENTION.test(segment) || TRANSIT_MENTION.test(segment)) continue;
+    for (const ratio of parseParkingRatios(segment)) {
+      const destination = findParkingDestination(segment, ratio.index) ?? (ratio.places_par_logement !== null ? "LOGEMENT" : null);
+      if (!destination) continue;
+
+      const rule = byDestination.get(destination) || {
+        destination,
+        places_par_logement: null,
+        places_par_100m2: null,
+        places_par_chambre: null,
+        note: cleanNote(segment, 150),
+      };
+      for (const field of ["places_par_logement", "places_par_100m2", "places_par_chambre"]) {
+        rule[field] ??= ratio[field];
+      }
+      byDestination.set(destination, rule);
+    }
+  }
+  return [...byDestination.values()];
+}
+
+/**
+ * { surface_par_logement_m2, surface_par_100m2_m2, pourcentage_surface_plancher, note }
+ * – bicycle storage, "1,5 m² par logement", "1 % de la surface de plancher".
+ */
+function extractVeloRules(text) {
+  const velo = { surface_par_logement_m2: null, surface_par_100m2_m2: null, pourcentage_surface_plancher: null, note: null };
+  for (const segment of parkingSegments(text)) {
+    if (!VELO_MENTION.test(segment)) continue;
+    const perLogement = segment.match(/(\d+(?:[.,]\d+)?)\s*m²?\s*(?:par|\/)\s*logement/i);
+    const per100 = segment.match(/(\d+(?:[.,]\d+)?)\s*m²?\s*(?:par|pour|\/)\s*(?:tranche\s+de\s+)?100\s*m²/i);
+    const percent = segment.match(/(\d+(?:[.,]\d+)?)\s*%\s*de\s+la\s+surface\s+de\s+plancher/i);
+    if (!perLogement && !per100 && !percent) continue;
+
+    velo.surface_par_logement_m2 ??= perLogement ? parseFrenchDecimal(perLogement[1]) : null;
+    velo.surface_par_100m2_m2 ??= per100 ? parseFrenchDecimal(per100[1]) : null;
+    velo.pourcentage_surface_plancher ??= percent ? percentValue(percent[1]) : null;
+    velo.note ??= cleanNote(segment, 150);
+  }
+  return velo;
+}
+
+/**
+ * [{ destination, rayon_m, places_max_par_logement, taux_reduction, note }]
+ * – parking reductions or caps written in the PLU for sites near public transport.
+ */
+function extractTransitReductions(text) {
+  const reductions = [];
+  for (const segment of parkingSegments(text)) {
+    if (!TRANSIT_MENTION.test(segment) || VELO_MENTION.test(segment)) continue;
+    const radius = segment.match(/(\d{2,4})\s*m(?:[èe]tres)?\b(?!\s*(?:²|2))/i);
+    const reduction = segment.match(/(?:r[ée]duit|r[ée]duction|minor[ée]|abattement)[^.%]{0,60}?(\d+(?:[.,]\d+)?)\s*%/i);
+    const capped = /plus\s+d[e']|au\s+plus|exc[ée]der|d[ée]passer|maximum|maximal|qu'une?\s+place/i.test(segment);
+    const ratio = parseParkingRatios(segment).find((r) => r.places_par_logement !== null);
+    const cap = capped && ratio ? ratio.places_par_logement : null;
+    if (!reduction && cap === null) continue;
+
+    reductions.push({
+      destination: findParkingDestination(segment, ratio ? ratio.index : segment.length),
+      rayon_m: radius ? parseInt(radius[1], 10) : null,
+      places_max_par_logement: cap,
+      taux_reduction: reduction ? percentValue(reduction[1]) : null,
+      note: cleanNote(segment, 150),
+    });
+  }
+  return reductions;
+}
+
 function extractHauteurMax(text) {
   if (!text) return null;
   // Lookahead (?!\s*(?:²|2)) excludes m², m2, m ² patterns
@@ -200,6 +402,108 @@ function extractHauteurMax(text) {
   return null;
 }
 
+/*
+ * Height limits are often split by reference point:
+ *   "7 m à l'égout du toit et 10 m au faîtage", "9 m à l'acrotère"
+ * and/or given in levels ("R+2+C", "3 niveaux") or relative to the context
+ * ("H ≤ L", "hauteur des constructions voisines").
+ */
+
+function extractHeightAt(text, keywordSource) {
+  if (!text) return null;
+  // "7 m à l'égout" first: in "7 m à l'égout et 10 m au faîtage" the
+  // keyword-first form would pair égout with 10
+  const patterns = [
+    new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*m(?:[èe]tres?)?(?!\\s*(?:²|2))\\s*(?:au|à|a|en)?\\s*(?:l['’]\\s*|niveau\\s+(?:de\\s+l['’]|du)\\s*)?${keywordSource}`, "i"),
+    new RegExp(`${keywordSource}[^.\\d]{0,40}?(\\d+(?:[.,]\\d+)?)\\s*m(?!\\s*(?:²|2))`, "i"),
+  ];
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return parseFrenchDecimal(match[1]);
+  }
+  return null;
+}
+
+function extractHauteurEgout(text) {
+  return extractHeightAt(text, "[ée]gouts?(?:\\s+des?\\s+toit(?:ure)?s?)?");
+}
+
+function extractHauteurFaitage(text) {
+  return extractHeightAt(text, "fa[îi]tages?");
+}
+
+function extractHauteurAcrotere(text) {
+  return extractHeightAt(text, "acrot[èe]res?");
+}
+
+/**
+ * "R+2+C" → { label: "R+2+C", etages: 2, combles: true, attique: false }
+ */
+function parseNiveaux(label) {
+  if (!label) return null;
+  const match = String(label).match(/R\s*\+\s*(\d+)((?:\s*\+\s*(?:Cs?|combles?|A|attique))*)/i);
+  if (!match) return null;
+  const extra = (match[2] || "").toLowerCase();
+  return {
+    label: match[0].replace(/\s+/g, "").replace(/combles?/i, "C").replace(/attique/i, "A").toUpperCase().replace("CS", "C"),
+    etages: parseInt(match[1], 10),
+    combles: /\+\s*(?:cs?|combles?)\b/.test(extra),
+    attique: /\+\s*(?:a|attique)\b/.test(extra),
+  };
+}
+
+// Wording of a maximum storey count ("3 niveaux maximum", "ne peut excéder 3 niveaux")
+const NIVEAUX_MAX_PATTERN =
+  /maximum|au\s+plus|ne\s+(?:peut|peuvent|pourra|pourront|doit|doivent)\s+(?:pas\s+)?(?:exc[ée]der|d[ée]passer)|limit[ée]e?s?\s+à/i;
+
+function extractNiveaux(text) {
+  if (!text) return null;
+  const fromLabel = parseNiveaux(text);
+  if (fromLabel) return fromLabel;
+
+  // Read clause by clause: combles or sous-sols mentioned elsewhere in the excerpt do not count
+  const clauses = text.split(/[.;]/);
+  for (const clause of clauses) {
+    const etages = clause.match(/rez[-\s]de[-\s]chauss[ée]e\s*(?:\+|plus)\s*(\d+)\s*[ée]tages?/i);
+    if (etages) return parseNiveaux(`R+${etages[1]}${/combles?/i.test(clause) ? "+C" : ""}`);
+  }
+
+  for (const clause of clauses) {
+    if (/sous[-\s]sols?/i.test(clause) || !NIVEAUX_MAX_PATTERN.test(clause)) continue;
+    // "au-delà de 2 niveaux" is a threshold, not a limit
+    const niveaux = clause.match(/(?<!(?:au[-\s]del[àa]|plus|partir)\s+de\s+)\b(\d+)\s*niveaux/i);
+    if (!niveaux || parseInt(niveaux[1], 10) < 1) continue;
+    const count = parseInt(niveaux[1], 10);
+    // "3 niveaux, combles compris" = R+1+C ; "3 niveaux + combles" = R+2+C
+    if (/combles?\s+(?:compris|inclus)/i.test(clause) && count >= 2) return parseNiveaux(`R+${count - 2}+C`);
+    if (/(?:\+|plus)\s*(?:des\s+)?combles?/i.test(clause)) return parseNiveaux(`R+${count - 1}+C`);
+    return parseNiveaux(`R+${count - 1}`);
+  }
+  return null;
+}
+
+/**
+ * Relative limits: { regle: "LARGEUR_VOIE"|"VOISIN", marge_m, note } or null
+ */
+function extractHauteurRelative(text) {
+  if (!text) return null;
+  const hl = text.match(/H\s*(?:≤|<=|=|<|inf[ée]rieure?\s+(?:ou\s+[ée]gale?\s+)?à)\s*L(?:\s*\+\s*(\d+(?:[.,]\d+)?)\s*m)?/);
+  if (hl) {
+    return { regle: "LARGEUR_VOIE", marge_m: hl[1] ? parseFrenchDecimal(hl[1]) : null, note: cleanNote(hl[0]) };
+  }
+  const voie = text.match(/hauteur[^.]{0,80}(?:exc[ée]der|sup[ée]rieure?\s+à|d[ée]passer)\s+la\s+largeur\s+de\s+la\s+voie[^.]*/i);
+  if (voie) {
+    const marge = voie[0].match(/largeur\s+de\s+la\s+voie[^.]{0,30}?(?:\+|major[ée]e\s+de|augment[ée]e\s+de)\s*(\d+(?:[.,]\d+)?)\s*m/i);
+    return { regle: "LARGEUR_VOIE", marge_m: marge ? parseFrenchDecimal(marge[1]) : null, note: cleanNote(voie[0]) };
+  }
+  const voisin = text.match(/[^.]*(?:hauteur\s+(?:de\s+la\s+|des\s+)?constructions?\s+(?:voisines?|contigu[ëe]s?|mitoyennes?|existantes?\s+voisines?)|h[ée]berges?)[^.]*/i);
+  if (voisin) {
+    const marge = voisin[0].match(/(?:\+|d[ée]passer\s+de|plus\s+de)\s*(\d+(?:[.,]\d+)?)\s*m/i);
+    return { regle: "VOISIN", marge_m: marge ? parseFrenchDecimal(marge[1]) : null, note: cleanNote(voisin[0]) };
+  }
+  return null;
+}
+
 function extractEmpriseSol(text) {
   if (!text) return null;
   const patterns = [
@@ -222,627 +526,5768 @@ function extractEmpriseSol(text) {
   return null;
 }
 
-function cleanNote(text, maxLen = 200) {
-  if (!text) return null;
-  const cleaned = text.trim().replace(/\s+/g, " ");
-  if (cleaned.length <= maxLen) return cleaned;
-  return cleaned.slice(0, maxLen - 3) + "...";
-}
-
-// ─────────────────────────────────────────────────────────────────────────────
-// PDF FETCH
-// ─────────────────────────────────────────────────────────────────────────────
+/*
+ * Landscaping obligations (article 13 / "traitement environnemental et paysager"):
+ *   "30 % de la superficie du terrain doit être traitée en espaces verts"
+ *   "dont 20 % en pleine terre", "CBS minimum de 0,4"
+ *   "1 arbre de haute tige pour 100 m² d'espaces libres", "1 arbre pour 4 places"
+ * Percentages are returned as decimals (0.3 = 30 %), like emprise_sol_max.
+ */
 
-async function fetchPdfBuffer(url) {
-  const res = await fetch(url, { signal: AbortSignal.timeout(60000) });
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} fetching PDF`);
-  }
-  const arrayBuffer = await res.arrayBuffer();
-  return Buffer.from(arrayBuffer);
+function percentToRatio(value) {
+  if (value === null) return null;
+  return value > 1 ? value / 100 : value;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// ZONE DISCOVERY (REGEX-FIRST)
-// ─────────────────────────────────────────────────────────────────────────────
-
-function discoverZonesRegex(text) {
-  const zonePatterns = [
-    /\b(U[A-Z]{1,2}[a-z]?)\b/g,
-    /\b([1-9]AU[a-z]?)\b/g,
-    /\bZONE\s+(U[A-Z]{1,2}[a-z]?)\b/gi,
-    /\bZONE\s+([1-9]AU[a-z]?)\b/gi,
-    /\bZONE\s+(A[a-z]?)\b/gi,
-    /\bZONE\s+(N[a-z]?)\b/gi,
-    /\b(A)\s+[-–]\s+Zone\s+agricole/gi,
-    /\b(N)\s+[-–]\s+Zone\s+naturelle/gi,
+function extractEspacesVertsMin(text) {
+  if (!text) return null;
+  const patterns = [
+    /(\d+(?:[.,]\d+)?)\s*%[^.%]{0,80}?(?:espaces?\s+verts|espaces?\s+(?:libres\s+)?plant[ée]s|v[ée]g[ée]talis[ée]s?)/i,
+    /espaces?\s+verts[^.%]{0,80}?(\d+(?:[.,]\d+)?)\s*%/i,
   ];
-
-  const found = new Set();
-  
-  for (const pattern of zonePatterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const code = match[1].toUpperCase().replace(/\s+/g, "");
-      if (code.length >= 1 && code.length <= 5) {
-        found.add(code);
-      }
-    }
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    // "20 % ... de pleine terre" belongs to extractPleineTerreMin
+    if (match && !/pleine\s+terre/i.test(match[0])) return percentToRatio(parseFrenchDecimal(match[1]));
   }
-
-  // Filter out false positives
-  const validZones = Array.from(found).filter((z) => {
-    if (/^U[A-Z]{1,2}[A-Z]?$/.test(z)) return true;
-    if (/^[1-9]AU[A-Z]?$/.test(z)) return true;
-    if (/^(A|N)[A-Z]?$/.test(z) && z.length <= 2) return true;
-    return false;
-  });
-
-  return validZones.slice(0, 15);
+  return null;
 }
 
-function extractPluVersionLabel(text) {
+function extractPleineTerreMin(text) {
+  if (!text) return null;
   const patterns = [
-    /PLU\s+(?:de\s+)?([A-ZÀ-Ÿ][a-zà-ÿ]+(?:\s+[A-ZÀ-Ÿ][a-zà-ÿ]+)?)\s*[-–]?\s*(20\d{2})/gi,
-    /(?:approuvé|approbation)\s+(?:le\s+)?(\d{1,2}\s+\w+\s+)?(20\d{2})/gi,
-    /PLU\s+(20\d{2})/gi,
-    /révision\s+n°?\s*\d+\s*[-–]?\s*(20\d{2})/gi,
+    /(\d+(?:[.,]\d+)?)\s*%[^.%]{0,60}?pleine\s+terre/i,
+    /pleine\s+terre[^.%]{0,60}?(\d+(?:[.,]\d+)?)\s*%/i,
   ];
-
   for (const pattern of patterns) {
     const match = text.match(pattern);
-    if (match) {
-      return cleanNote(match[0], 100);
-    }
+    if (match) return percentToRatio(parseFrenchDecimal(match[1]));
   }
   return null;
 }
 
-async function discoverZonesLLM(text, openaiClient) {
-  const start = text.slice(0, 10000);
-  const mid = text.slice(Math.floor(text.length / 2) - 5000, Math.floor(text.length / 2) + 5000);
-  const end = text.slice(-10000);
-  const excerpt = `${start}\n\n[...]\n\n${mid}\n\n[...]\n\n${end}`;
+/**
+ * { cbs_min, ponderations: [{ type, coefficient }] } or null when no CBS is mentioned
+ */
+function extractCoefficientBiotope(text) {
+  if (!text) return null;
+  const mention = text.match(/coefficient\s+de\s+biotope|\bCBS\b/i);
+  if (!mention) return null;
 
-  const systemPrompt = `Tu es un extracteur de zones PLU.
-À partir d'un extrait de PLU, renvoie UNIQUEMENT un JSON:
-{
-  "plu_version_label": string|null,
-  "zones": [{"zone_code": "UA", "zone_libelle": string|null}, ...]
+  const after = text.slice(mention.index);
+  const min = after.match(/^[^.]{0,120}?(?:au\s+moins\s+(?:égal\s+à\s+)?|minimum\s+(?:de\s+)?|[:=≥]\s*|de\s+)(0[.,]\d+|\d+(?:[.,]\d+)?\s*%)/i);
+  const cbs_min = min ? percentToRatio(parseFrenchDecimal(min[1].replace("%", ""))) : null;
+
+  // Weightings are usually listed as "type de surface : 0,5"
+  const ponderations = [];
+  const weightPattern = /(?:^|\n|[-•–]\s*)([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s'’()-]{3,80}?)\s*[:=]\s*(?:coefficient\s+(?:de\s+)?)?(0(?:[.,]\d+)?|1(?:[.,]0+)?)(?![\d.,]*\s*(?:%|m\b))/g;
+  let match;
+  while ((match = weightPattern.exec(after.slice(0, 3000))) !== null) {
+    ponderations.push({ type: cleanNote(match[1], 80), coefficient: parseFrenchDecimal(match[2]) });
+  }
+
+  return { cbs_min, ponderations };
 }
-- zone_code: codes simples (UA, UB, UC, 1AU, 2AU, A, N, etc.)
-- Maximum 15 zones.
-- Si pas trouvé, renvoie zones: []
-- Pas de texte avant/après, uniquement le JSON.`;
 
-  const completion = await openaiClient.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: excerpt },
-    ],
-    response_format: { type: "json_object" },
-    temperature: 0,
-    max_tokens: 2000,
-  });
+function plantationUnit(unitText, context) {
+  const lower = unitText.toLowerCase();
+  if (/place/.test(lower)) return "PLACES_STATIONNEMENT";
+  if (/logement/.test(lower)) return "LOGEMENTS";
+  return /espaces?\s+libres|non\s+b[âa]ti|espaces?\s+verts/i.test(context) ? "M2_ESPACES_LIBRES" : "M2_TERRAIN";
+}
 
-  const raw = completion.choices[0]?.message?.content;
-  try {
-    const parsed = JSON.parse(raw);
-    return {
-      plu_version_label: parsed.plu_version_label || null,
-      zones: Array.isArray(parsed.zones) ? parsed.zones.slice(0, 15) : [],
-    };
-  } catch {
-    return { plu_version_label: null, zones: [] };
+/**
+ * [{ arbres, pour, unite }] – "1 arbre pour 100 m²" → { arbres: 1, pour: 100, unite: "M2_TERRAIN" }
+ */
+function extractPlantationRatios(text) {
+  if (!text) return [];
+  const pattern = /(\d+(?:[.,]\d+)?)\s*arbres?(?:\s+de\s+(?:haute|moyenne|basse)\s+tige)?[^.\d]{0,40}?(?:pour|par)\s+(?:tranche\s+(?:enti[èe]re\s+)?de\s+|chaque\s+|groupe\s+de\s+)?(\d+(?:[.,]\d+)?)?\s*(m²|m2|places?(?:\s+de\s+stationnement)?|logements?)(?=([^.]{0,40}))/gi;
+  const ratios = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    ratios.push({
+      arbres: parseFrenchDecimal(match[1]),
+      pour: match[2] ? parseFrenchDecimal(match[2]) : 1,
+      unite: plantationUnit(match[3], match[4] || ""),
+    });
   }
+  return ratios;
+}
+
+function cleanNote(text, maxLen = 200) {
+  if (!text) return null;
+  const cleaned = text.trim().replace(/\s+/g, " ");
+  if (cleaned.length <= maxLen) return cleaned;
+  return cleaned.slice(0, maxLen - 3) + "...";
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// ARTICLE EXTRACTION
+// API CLIENTS (HASHED KEYS, RATE LIMITS, QUOTAS, USAGE)
 // ─────────────────────────────────────────────────────────────────────────────
 
-function findArticleExcerpt(text, articleNum, zoneCode, windowSize = 5000) {
-  const textLower = text.toLowerCase();
-  const zoneCodeLower = zoneCode.toLowerCase();
-
-  const articlePatterns = [
-    new RegExp(`article\\s+${articleNum}\\b`, "gi"),
-    new RegExp(`art\\.?\\s*${articleNum}\\b`, "gi"),
-    new RegExp(`${articleNum}\\s*[-–:]\\s*`, "gi"),
-  ];
+/*
+ * Clients and their keys live in PLU_API_KEYS_FILE (default api-keys.json),
+ * re-read when the file changes, so keys are added or rotated without a restart:
+ *   {
+ *     "clients": {
+ *       "partner-x": {
+ *         "keys": [{ "id": "3f9c1a2b", "sha256": "<hex sha256 of the key>", "created_at": "…", "expires_at": null }],
+ *         "rate_limit_per_minute": 60,     null = unlimited, 0 = no request
+ *         "monthly_zone_quota": 2000,      zones processed per calendar month (UTC), null = unlimited
+ *         "admin": false,                  /api/plu-admin/* and /api/plu-cache
+ *         "disabled": false
+ *       }
+ *     }
+ *   }
+ * Only hashes are stored: a key is shown once, when POST
+ * /api/plu-admin/clients/:name/keys creates it. The legacy PLU_PARSER_API_KEY
+ * still authenticates as the "default" admin client, without limits.
+ *
+ * Usage is counted per month and client in PLU_USAGE_FILE (default
+ * .cache/plu-usage.json): requests, parses, zones processed, LLM calls and tokens.
+ */
 
-  const zonePatterns = [
-    new RegExp(`zone\\s+${zoneCodeLower}\\b`, "gi"),
-    new RegExp(`\\b${zoneCodeLower}\\s+[-–]`, "gi"),
-    new RegExp(`\\b${zoneCodeLower}\\b`, "gi"),
-  ];
+const API_KEYS_FILE = process.env.PLU_API_KEYS_FILE || "api-keys.json";
+const USAGE_FILE = process.env.PLU_USAGE_FILE || ".cache/plu-usage.json";
+const API_KEYS_CHECK_MS = 5000;
+const LEGACY_CLIENT_NAME = "default";
+const CLIENT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
 
-  // Find zone boundaries first
-  let zoneStart = -1;
-  let zoneEnd = text.length;
+const apiKeys = { clients: {}, byHash: new Map(), mtimeMs: null, checkedAt: 0 };
 
-  for (const zp of zonePatterns) {
-    const match = zp.exec(textLower);
-    if (match) {
-      zoneStart = match.index;
-      break;
-    }
+function indexApiKeys(clients) {
+  const byHash = new Map();
+  for (const [name, client] of Object.entries(clients)) {
+    for (const key of client.keys || []) byHash.set(key.sha256, { name, key });
   }
+  return byHash;
+}
+
+// Re-read the key file when it changed; an invalid file keeps the previous keys
+function refreshApiKeys({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - apiKeys.checkedAt < API_KEYS_CHECK_MS) return;
+  apiKeys.checkedAt = now;
 
-  if (zoneStart === -1) {
-    zoneStart = 0;
+  let mtimeMs = null;
+  try {
+    mtimeMs = statSync(API_KEYS_FILE).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`[PLU-PARSER] API keys file error (${API_KEYS_FILE}):`, err.message);
   }
+  if (mtimeMs === apiKeys.mtimeMs) return;
 
-  // Find next zone after this one
-  const allZoneCodes = ["UA", "UB", "UC", "UD", "UE", "UF", "UG", "UH", "UI", "UJ", "UK", "UL", "UM", "UN", "1AU", "2AU"];
-  for (const otherZone of allZoneCodes) {
-    if (otherZone.toLowerCase() === zoneCodeLower) continue;
-    const nextZonePattern = new RegExp(`\\bzone\\s+${otherZone}\\b`, "gi");
-    nextZonePattern.lastIndex = zoneStart + 100;
-    const match = nextZonePattern.exec(textLower);
-    if (match && match.index < zoneEnd) {
-      zoneEnd = match.index;
-    }
+  try {
+    const clients = mtimeMs === null ? {} : JSON.parse(readFileSync(API_KEYS_FILE, "utf8")).clients || {};
+    Object.assign(apiKeys, { clients, byHash: indexApiKeys(clients), mtimeMs });
+    console.log(`[PLU-PARSER] 🔑 API keys loaded: ${Object.keys(clients).length} client(s)`);
+  } catch (err) {
+    console.error(`[PLU-PARSER] API keys file error (${API_KEYS_FILE}):`, err.message);
   }
+}
 
-  const zoneText = text.slice(zoneStart, zoneEnd);
+let apiKeysWrite = Promise.resolve();
 
-  // Find article within zone text
-  for (const ap of articlePatterns) {
-    ap.lastIndex = 0;
-    const match = ap.exec(zoneText.toLowerCase());
-    if (match) {
-      const articleStart = match.index;
-      const excerptStart = Math.max(0, articleStart - 200);
-      const excerptEnd = Math.min(zoneText.length, articleStart + windowSize);
-      return zoneText.slice(excerptStart, excerptEnd);
-    }
-  }
+/**
+ * Admin change of one client: update(current) receives the client as stored
+ * (undefined if absent) and returns the new one, or null to leave the file
+ * untouched. Changes are serialized and each update reads the clients as left
+ * by the previous one, so concurrent changes are not lost. The file is written
+ * atomically (tmp file + rename), then applied in memory, so a failed write
+ * changes nothing and does not block the next ones.
+ * Resolves to the saved client, or null.
+ */
+function saveApiClient(name, update) {
+  const write = apiKeysWrite
+    .catch(() => {})
+    .then(async () => {
+      refreshApiKeys({ force: true });
+      const client = update(apiKeys.clients[name]);
+      if (!client) return null;
+      const clients = { ...apiKeys.clients, [name]: client };
+      const tmp = tmpPathFor(API_KEYS_FILE);
+      await fs.writeFile(tmp, `${JSON.stringify({ clients }, null, 2)}\n`, { mode: 0o600 });
+      await fs.rename(tmp, API_KEYS_FILE);
+      Object.assign(apiKeys, { clients, byHash: indexApiKeys(clients), mtimeMs: statSync(API_KEYS_FILE).mtimeMs });
+      return client;
+    });
+  apiKeysWrite = write;
+  return write;
+}
 
-  return "";
+function sameSecret(a, b) {
+  return timingSafeEqual(createHash("sha256").update(a).digest(), createHash("sha256").update(b).digest());
 }
 
-function buildZoneExcerpts(fullText, zoneCode) {
-  const article6 = findArticleExcerpt(fullText, "6", zoneCode, 4000);
-  const article7 = findArticleExcerpt(fullText, "7", zoneCode, 4000);
-  const article12 = findArticleExcerpt(fullText, "12", zoneCode, 4000);
-  const article10 = findArticleExcerpt(fullText, "10", zoneCode, 3000);
-  const article9 = findArticleExcerpt(fullText, "9", zoneCode, 3000);
+/**
+ * Client of the request's bearer key:
+ * { name, key_id, admin, rate_limit_per_minute, monthly_zone_quota } or null.
+ */
+function authenticate(req) {
+  const authHeader = req.headers["authorization"] || "";
+  const token = authHeader.replace("Bearer ", "").trim();
+  if (!token) return null;
 
-  // Fallback: extract around zone mention
-  let fallback = "";
-  const zonePattern = new RegExp(`zone\\s+${zoneCode}\\b`, "gi");
-  const match = zonePattern.exec(fullText.toLowerCase());
-  if (match) {
-    const start = Math.max(0, match.index - 500);
-    const end = Math.min(fullText.length, match.index + 6000);
-    fallback = fullText.slice(start, end);
+  if (SERVER_PARSER_KEY && sameSecret(token, SERVER_PARSER_KEY)) {
+    return { name: LEGACY_CLIENT_NAME, key_id: null, admin: true, rate_limit_per_minute: null, monthly_zone_quota: null };
   }
 
+  refreshApiKeys();
+  const found = apiKeys.byHash.get(sha256(token));
+  const client = found ? apiKeys.clients[found.name] : null;
+  if (!client || client.disabled) return null;
+  if (found.key.expires_at && Date.parse(found.key.expires_at) <= Date.now()) return null;
   return {
-    zone_code: zoneCode,
-    extrait_article_6: article6.slice(0, 6000),
-    extrait_article_7: article7.slice(0, 6000),
-    extrait_article_10: article10.slice(0, 4000),
-    extrait_article_12: article12.slice(0, 6000),
-    extrait_article_9: article9.slice(0, 4000),
-    fallback_context: fallback.slice(0, 4000),
+    name: found.name,
+    key_id: found.key.id,
+    admin: client.admin === true,
+    rate_limit_per_minute: client.rate_limit_per_minute ?? null,
+    monthly_zone_quota: client.monthly_zone_quota ?? null,
   };
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// LLM ZONE EXTRACTION
-// ─────────────────────────────────────────────────────────────────────────────
-
-async function extractZoneRulesLLM(openaiClient, zoneCode, zoneLibelle, excerpts) {
-  const systemPrompt = `Tu es un extracteur de règles PLU pour UNE SEULE zone.
-Renvoie UNIQUEMENT un JSON valide avec ce format EXACT:
+// Request timestamps of the last minute, per client
+const rateWindows = new Map();
 
-{
-  "zone_code": "${zoneCode}",
-  "zone_libelle": string|null,
-  "reculs": {
-    "voirie": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
-    "limites_separatives": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
-    "fond_parcelle": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
-    "implantation_en_limite": { "autorisee": boolean|null, "note": string|null }
-  },
-  "stationnement": {
-    "places_par_logement": number|null,
-    "surface_par_place_m2": number|null,
-    "places_par_100m2": number|null,
-    "note": string|null
-  },
-  "hauteur": { "hauteur_max_m": number|null, "note": string|null },
-  "emprise_sol": { "emprise_sol_max": number|null, "note": string|null },
-  "articles_source": string[]
+// Seconds until the client may call again, 0 when the request is allowed.
+// A limit of 0 refuses every request.
+function checkRateLimit(client) {
+  if (client.rate_limit_per_minute === null) return 0;
+  if (client.rate_limit_per_minute === 0) return 60;
+  const now = Date.now();
+  const window = (rateWindows.get(client.name) || []).filter((t) => t > now - 60000);
+  rateWindows.set(client.name, window);
+  if (window.length >= client.rate_limit_per_minute) {
+    return Math.max(1, Math.ceil((window[0] + 60000 - now) / 1000));
+  }
+  window.push(now);
+  return 0;
 }
 
-RÈGLES STRICTES:
-- regle: "FIXED" si distance fixe, "H_OVER_2" si H/2, "H_OVER_2_MIN" si H/2 avec minimum
-- min_m: distance en mètres (nombre), pas de texte
-- emprise_sol_max: décimal (0.6 = 60%)
-- Si information absente: mettre null, JAMAIS "Non spécifié" ou chaîne vide
-- note: phrase source courte (max 150 chars), sinon null
-- articles_source: ["Article 6", "Article 7", etc.] si identifiables`;
+const USAGE_COUNTERS = [
+  "requests",
+  "parses",
+  "zones_processed",
+  "llm_calls",
+  "prompt_tokens",
+  "completion_tokens",
+  "rate_limited",
+  "quota_exceeded",
+];
 
-  const userPrompt = `Zone: ${zoneCode}${zoneLibelle ? ` (${zoneLibelle})` : ""}
+let usageState = null;
+let usageSaveTimer = null;
 
-ARTICLE 6 (implantation/voirie):
-${excerpts.extrait_article_6 || "(non trouvé)"}
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
 
-ARTICLE 7 (limites séparatives):
-${excerpts.extrait_article_7 || "(non trouvé)"}
+// { months: { "YYYY-MM": { client: counters } } }, read from USAGE_FILE on first use
+function loadUsage() {
+  if (!usageState) {
+    try {
+      usageState = JSON.parse(readFileSync(USAGE_FILE, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`[PLU-PARSER] Usage file error (${USAGE_FILE}):`, err.message);
+      usageState = {};
+    }
+    usageState.months = usageState.months || {};
+  }
+  return usageState;
+}
 
-ARTICLE 9 (emprise au sol):
-${excerpts.extrait_article_9 || "(non trouvé)"}
+function usageFor(clientName, month = currentMonth()) {
+  const { months } = loadUsage();
+  const clients = (months[month] = months[month] || {});
+  const counters = (clients[clientName] = clients[clientName] || {});
+  for (const key of USAGE_COUNTERS) counters[key] = counters[key] || 0;
+  return counters;
+}
 
-ARTICLE 10 (hauteur):
-${excerpts.extrait_article_10 || "(non trouvé)"}
+function scheduleUsageSave() {
+  if (usageSaveTimer) return;
+  usageSaveTimer = setTimeout(async () => {
+    usageSaveTimer = null;
+    try {
+      await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+      const tmp = tmpPathFor(USAGE_FILE);
+      await fs.writeFile(tmp, JSON.stringify(usageState));
+      await fs.rename(tmp, USAGE_FILE);
+    } catch (err) {
+      console.error("[PLU-PARSER] Usage write error:", err.message);
+    }
+  }, 2000);
+}
 
-ARTICLE 12 (stationnement):
-${excerpts.extrait_article_12 || "(non trouvé)"}
+// Zones held by queued or running parses, per client: they count against the
+// quota until the parse has recorded its usage
+const zoneReservations = new Map();
 
-CONTEXTE SUPPLÉMENTAIRE:
-${excerpts.fallback_context || "(aucun)"}`;
+// Zones the client may still process this month, null = unlimited
+function remainingZones(client) {
+  if (client.monthly_zone_quota === null) return null;
+  const used = usageFor(client.name).zones_processed + (zoneReservations.get(client.name) || 0);
+  return Math.max(0, client.monthly_zone_quota - used);
+}
 
-  const completion = await openaiClient.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt.slice(0, 28000) },
-    ],
-    response_format: { type: "json_object" },
-    temperature: 0,
-    max_tokens: 2000,
-  });
+function quotaExceeded(client) {
+  usageFor(client.name).quota_exceeded++;
+  scheduleUsageSave();
+  return { success: false, error: "QUOTA_EXCEEDED", message: `Monthly quota of ${client.monthly_zone_quota} zones reached` };
+}
 
-  const raw = completion.choices[0]?.message?.content;
-  return JSON.parse(raw);
+/**
+ * Authenticates the request and applies the client's rate limit (and zone
+ * quota for parsing routes). Sends the error response and returns null when
+ * the request is refused, returns the client otherwise.
+ */
+function authorizeRequest(req, res, { admin = false, zones = false } = {}) {
+  const client = authenticate(req);
+  if (!client) {
+    res.status(401).json({ success: false, error: "UNAUTHORIZED" });
+    return null;
+  }
+  const usage = usageFor(client.name);
+  scheduleUsageSave();
+
+  const retryAfter = checkRateLimit(client);
+  if (retryAfter > 0) {
+    usage.rate_limited++;
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      success: false,
+      error: "RATE_LIMITED",
+      message: `At most ${client.rate_limit_per_minute} requests per minute`,
+    });
+    return null;
+  }
+  if (admin && !client.admin) {
+    res.status(403).json({ success: false, error: "FORBIDDEN" });
+    return null;
+  }
+  usage.requests++;
+
+  if (zones && remainingZones(client) === 0) {
+    res.status(429).json(quotaExceeded(client));
+    return null;
+  }
+  return client;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// POST-PROCESSING
-// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Route middleware running authorizeRequest before the body is read, so an
+ * unauthenticated or rate-limited caller never gets an upload buffered. The
+ * client is passed on as req.client.
+ */
+function requireClient(options) {
+  return (req, res, next) => {
+    const client = authorizeRequest(req, res, options);
+    if (!client) return;
+    req.client = client;
+    next();
+  };
+}
 
-function postProcessRecul(recul) {
-  if (!recul) return { regle: null, min_m: null, note: null };
+/**
+ * A parse never processes more zones than the client has left this month:
+ * caps body.max_zones and holds that many zones until releaseZones, so
+ * parallel and queued parses cannot overrun the quota together. Returns the
+ * number of zones held (0 without quota), or null when none are left.
+ */
+function reserveZones(client, body) {
+  const remaining = remainingZones(client);
+  if (remaining === null) return 0;
+  if (remaining === 0) return null;
+  const requested =
+    body.max_zones === undefined || body.max_zones === null || body.max_zones === "" ? MAX_PROCESSED_ZONES : Number(body.max_zones);
+  if (requested === 0 || requested > remaining) body.max_zones = remaining;
+  // An invalid max_zones is left for runPluParse to refuse
+  const reserved = Number.isInteger(requested) && requested > 0 && requested <= remaining ? requested : remaining;
+  zoneReservations.set(client.name, (zoneReservations.get(client.name) || 0) + reserved);
+  return reserved;
+}
 
-  let { regle, min_m, note } = recul;
-  note = cleanNote(note);
+// Called after recordParseUsage, so the zones are always counted as held or as used
+function releaseZones(clientName, reserved) {
+  if (!reserved) return;
+  const held = (zoneReservations.get(clientName) || 0) - reserved;
+  if (held > 0) zoneReservations.set(clientName, held);
+  else zoneReservations.delete(clientName);
+}
 
-  if (min_m === null && note) {
-    min_m = extractMinimumMeters(note) || extractMetersValue(note);
-  }
+function recordParseUsage(clientName, meta) {
+  const usage = usageFor(clientName);
+  usage.parses++;
+  usage.zones_processed += meta?.zones_processed || 0;
+  usage.llm_calls += meta?.llm_usage?.calls || 0;
+  usage.prompt_tokens += meta?.llm_usage?.prompt_tokens || 0;
+  usage.completion_tokens += meta?.llm_usage?.completion_tokens || 0;
+  scheduleUsageSave();
+}
 
-  if (regle === null && note) {
-    regle = detectRegleType(note);
+// URLs in logs lose their query string and credentials (signed links, tokens)
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    return `${url.protocol}//${url.host}${url.pathname}${url.search ? "?…" : ""}`;
+  } catch {
+    return "(invalid URL)";
   }
+}
 
-  if (regle === "H_OVER_2" && min_m !== null) {
-    regle = "H_OVER_2_MIN";
-  }
+// ─────────────────────────────────────────────────────────────────────────────
+// PDF FETCH
+// ─────────────────────────────────────────────────────────────────────────────
 
-  return { regle, min_m, note };
-}
+/*
+ * Caller-provided URLs are fetched defensively:
+ *   - http(s) only; hosts resolving to private, loopback, link-local or
+ *     reserved addresses are refused (checked in the socket's DNS lookup, so
+ *     a DNS answer cannot change between the check and the connection)
+ *   - PLU_PDF_ALLOWED_HOSTS (comma-separated, subdomains included) restricts
+ *     downloads to those domains, e.g. "geoportail-urbanisme.gouv.fr,ville-x.fr"
+ *   - the body is streamed and cut at PDF_FETCH_MAX_BYTES, and must start
+ *     with the "%PDF-" signature
+ *   - redirects are followed manually (each hop checked again), at most
+ *     PDF_FETCH_MAX_REDIRECTS; 429/5xx and connection errors are retried with
+ *     exponential backoff
+ * PLU_PDF_ALLOW_PRIVATE_HOSTS=true lifts the address check, here and for job
+ * callbacks (local development).
+ */
 
-function postProcessImplantationLimite(impl) {
-  if (!impl) return { autorisee: null, note: null };
+const PDF_FETCH_TIMEOUT_MS = Number(process.env.PLU_PDF_FETCH_TIMEOUT_S || 60) * 1000;
+const PDF_FETCH_MAX_BYTES = Number(process.env.PLU_PDF_FETCH_MAX_MB || 60) * 1024 * 1024;
+const PDF_FETCH_MAX_REDIRECTS = Number(process.env.PLU_PDF_FETCH_MAX_REDIRECTS ?? 5);
+const PDF_FETCH_RETRIES = Number(process.env.PLU_PDF_FETCH_RETRIES ?? 2);
+const PDF_FETCH_BACKOFF_MS = 1000;
+const PDF_ALLOWED_HOSTS = (process.env.PLU_PDF_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase().replace(/^\*?\./, ""))
+  .filter(Boolean);
+const PDF_ALLOW_PRIVATE_HOSTS = process.env.PLU_PDF_ALLOW_PRIVATE_HOSTS === "true";
+// The signature may follow some garbage, within the first 1024 bytes
+const PDF_SIGNATURE_WINDOW = 1024;
 
-  let { autorisee, note } = impl;
-  note = cleanNote(note);
+// HTTP status returned for each fetch error code (others: 502)
+const PDF_FETCH_ERROR_STATUS = {
+  PDF_URL_INVALID: 400,
+  PDF_HOST_NOT_ALLOWED: 400,
+  PDF_ADDRESS_BLOCKED: 400,
+  PDF_TOO_LARGE: 413,
+  PDF_NOT_PDF: 422,
+  PDF_TIMEOUT: 504,
+};
 
-  if (autorisee === null && note) {
-    const lower = note.toLowerCase();
-    if (/autoris[ée]|permis|possible|admis/i.test(lower) && !/non\s+autoris/i.test(lower)) {
-      autorisee = true;
-    } else if (/interdit|non\s+autoris|pas\s+autoris/i.test(lower)) {
-      autorisee = false;
-    }
+class PdfFetchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
   }
+}
 
-  return { autorisee, note };
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  // Unspecified, loopback and IPv4-compatible (::10.0.0.1)
+  ["::", 96],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  // 6to4 embeds any IPv4 address (2002:0a00:0001::)
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
 }
 
-function postProcessStationnement(stat) {
-  if (!stat) return { places_par_logement: null, surface_par_place_m2: null, places_par_100m2: null, note: null };
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched by the IPv4 ranges
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
 
-  let { places_par_logement, surface_par_place_m2, places_par_100m2, note } = stat;
-  note = cleanNote(note);
+function isAllowedHost(hostname) {
+  if (PDF_ALLOWED_HOSTS.length === 0) return true;
+  return PDF_ALLOWED_HOSTS.some((allowed) => hostname === allowed || hostname.endsWith(`.${allowed}`));
+}
 
-  if (places_par_logement === null && note) {
-    places_par_logement = extractPlacesParLogement(note);
+// Validated URL of one hop (initial URL or redirect target)
+function checkPdfUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    throw new PdfFetchError("PDF_URL_INVALID", "Invalid PDF URL");
   }
-  if (surface_par_place_m2 === null && note) {
-    surface_par_place_m2 = extractSurfaceParPlace(note);
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new PdfFetchError("PDF_URL_INVALID", `Unsupported protocol ${url.protocol}`);
   }
-  if (places_par_100m2 === null && note) {
-    places_par_100m2 = extractPlacesPar100m2(note);
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (!isAllowedHost(hostname)) {
+    throw new PdfFetchError("PDF_HOST_NOT_ALLOWED", `Host ${hostname} is not in PLU_PDF_ALLOWED_HOSTS`);
   }
+  // Literal IPs skip the DNS lookup
+  if (!PDF_ALLOW_PRIVATE_HOSTS && isBlockedAddress(hostname)) {
+    throw new PdfFetchError("PDF_ADDRESS_BLOCKED", `Address ${hostname} is not publicly routable`);
+  }
+  return url;
+}
 
-  return { places_par_logement, surface_par_place_m2, places_par_100m2, note };
+// dns.lookup replacement for the download socket: refuses non-public answers
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(new PdfFetchError("PDF_ADDRESS_BLOCKED", `${hostname} resolves to ${blocked.address}, which is not publicly routable`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
 }
 
-function postProcessHauteur(haut) {
-  if (!haut) return { hauteur_max_m: null, note: null };
+function hasPdfSignature(buffer) {
+  return buffer.subarray(0, PDF_SIGNATURE_WINDOW).includes("%PDF-");
+}
 
-  let { hauteur_max_m, note } = haut;
-  note = cleanNote(note);
+/**
+ * One GET, no redirect following: { status, location } for redirects and
+ * errors, { status: 200, buffer } for a PDF body.
+ */
+function requestPdf(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, {
+      headers: { accept: "application/pdf, */*;q=0.5", "user-agent": "mimmoza-plu-parser" },
+      lookup: PDF_ALLOW_PRIVATE_HOSTS ? undefined : publicOnlyLookup,
+    });
+    const timer = setTimeout(() => {
+      req.destroy(new PdfFetchError("PDF_TIMEOUT", `No complete response within ${PDF_FETCH_TIMEOUT_MS / 1000} s`));
+    }, PDF_FETCH_TIMEOUT_MS);
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+    req.on("error", fail);
 
-  if (hauteur_max_m === null && note) {
-    hauteur_max_m = extractHauteurMax(note);
-  }
+    req.on("response", (res) => {
+      const status = res.statusCode;
+      if (status !== 200) {
+        res.resume();
+        clearTimeout(timer);
+        resolve({ status, location: res.headers.location || null, retryAfter: res.headers["retry-after"] || null });
+        return;
+      }
+      if (Number(res.headers["content-length"]) > PDF_FETCH_MAX_BYTES) {
+        req.destroy(new PdfFetchError("PDF_TOO_LARGE", `PDF larger than ${PDF_FETCH_MAX_BYTES} bytes`));
+        return;
+      }
 
-  return { hauteur_max_m, note };
+      const chunks = [];
+      let size = 0;
+      let signatureChecked = false;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > PDF_FETCH_MAX_BYTES) {
+          req.destroy(new PdfFetchError("PDF_TOO_LARGE", `PDF larger than ${PDF_FETCH_MAX_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+        // Stop early when an HTML error page or another file type comes back
+        if (!signatureChecked && size >= PDF_SIGNATURE_WINDOW) {
+          signatureChecked = true;
+          if (!hasPdfSignature(Buffer.concat(chunks))) {
+            req.destroy(new PdfFetchError("PDF_NOT_PDF", `Response is not a PDF (content-type ${res.headers["content-type"] || "unknown"})`));
+          }
+        }
+      });
+      res.on("error", fail);
+      res.on("end", () => {
+        clearTimeout(timer);
+        const buffer = Buffer.concat(chunks);
+        if (!hasPdfSignature(buffer)) {
+          reject(new PdfFetchError("PDF_NOT_PDF", `Response is not a PDF (content-type ${res.headers["content-type"] || "unknown"})`));
+          return;
+        }
+        resolve({ status, buffer });
+      });
+    });
+  });
 }
 
-function postProcessEmprise(emp) {
-  if (!emp) return { emprise_sol_max: null, note: null };
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_ERRORS = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH"]);
 
-  let { emprise_sol_max, note } = emp;
-  note = cleanNote(note);
+// Delay before retry n (0-based): Retry-After when the server gives one (capped), else exponential
+function retryDelayMs(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, 30000);
+  return PDF_FETCH_BACKOFF_MS * 2 ** attempt;
+}
 
-  if (emprise_sol_max === null && note) {
-    emprise_sol_max = extractEmpriseSol(note);
-  }
+async function requestPdfWithRetries(url) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await requestPdf(url);
+    } catch (err) {
+      if (err instanceof PdfFetchError) throw err;
+      if (err.code === "ENOTFOUND") throw new PdfFetchError("PDF_DNS_ERROR", `Host ${url.hostname} not found`);
+      if (!RETRYABLE_NETWORK_ERRORS.has(err.code) || attempt >= PDF_FETCH_RETRIES) {
+        throw new PdfFetchError("PDF_FETCH_ERROR", err.message);
+      }
+      console.log(`[PLU-PARSER] PDF fetch ${err.code}, retry ${attempt + 1}/${PDF_FETCH_RETRIES}`);
+      await new Promise((r) => setTimeout(r, retryDelayMs(attempt)));
+      continue;
+    }
 
-  if (emprise_sol_max !== null && emprise_sol_max > 1) {
-    emprise_sol_max = emprise_sol_max / 100;
+    if (response.status === 200 || (response.status >= 300 && response.status < 400 && response.location)) {
+      return response;
+    }
+    if (!RETRYABLE_STATUSES.has(response.status) || attempt >= PDF_FETCH_RETRIES) {
+      throw new PdfFetchError("PDF_HTTP_ERROR", `HTTP ${response.status} fetching PDF`);
+    }
+    console.log(`[PLU-PARSER] PDF fetch HTTP ${response.status}, retry ${attempt + 1}/${PDF_FETCH_RETRIES}`);
+    await new Promise((r) => setTimeout(r, retryDelayMs(attempt, response.retryAfter)));
   }
-
-  return { emprise_sol_max, note };
 }
 
-function postProcessZoneRuleset(raw, zoneCode, zoneLibelle) {
-  const ruleset = {
-    zone_code: raw.zone_code || zoneCode,
-    zone_libelle: raw.zone_libelle || zoneLibelle || null,
-    reculs: {
-      voirie: postProcessRecul(raw.reculs?.voirie),
-      limites_separatives: postProcessRecul(raw.reculs?.limites_separatives),
-      fond_parcelle: postProcessRecul(raw.reculs?.fond_parcelle),
-      implantation_en_limite: postProcessImplantationLimite(raw.reculs?.implantation_en_limite),
-    },
-    stationnement: postProcessStationnement(raw.stationnement),
-    hauteur: postProcessHauteur(raw.hauteur),
-    emprise_sol: postProcessEmprise(raw.emprise_sol),
-    articles_source: Array.isArray(raw.articles_source) ? raw.articles_source : [],
-  };
-
-  return ruleset;
+async function fetchPdfBuffer(value) {
+  let url = checkPdfUrl(value);
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestPdfWithRetries(url);
+    if (response.buffer) return response.buffer;
+    if (redirects >= PDF_FETCH_MAX_REDIRECTS) {
+      throw new PdfFetchError("PDF_TOO_MANY_REDIRECTS", `More than ${PDF_FETCH_MAX_REDIRECTS} redirects`);
+    }
+    url = checkPdfUrl(response.location, url);
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// MAIN ENDPOINT
+// SOURCE DOCUMENTS (URL / UPLOAD / BASE64, ONE OR SEVERAL)
 // ─────────────────────────────────────────────────────────────────────────────
 
-app.post("/api/plu-parse", async (req, res) => {
-  const warnings = [];
-  const meta = {
-    zones_detected: 0,
-    zones_processed: 0,
-    used_discovery: "regex",
-    target_zone_mode: false,
-    target_zone_code: null,
-    target_zone_found_in_discovery: false,
-    warnings: [],
-  };
-
-  try {
-    // 1️⃣ Auth
-    const authHeader = req.headers["authorization"] || "";
-    const token = authHeader.replace("Bearer ", "").trim();
+/*
+ * Accepted request shapes (JSON or multipart/form-data):
+ *   { source_pdf_url }                                  legacy, single URL
+ *   { source_pdf_base64 }                               single inline PDF
+ *   multipart with one or more PDF files                direct upload
+ *   { documents: [{ label, role, url | pdf_base64 | file }, ...] }
+ *     - "file" references a multipart field name or original filename
+ *     - in multipart requests, "documents" may be sent as a JSON string
+ * Documents are concatenated in the given order; uploaded files that are not
+ * referenced by a "documents" entry are appended after them.
+ */
 
-    if (!SERVER_PARSER_KEY || token !== SERVER_PARSER_KEY) {
-      return res.status(401).json({ success: false, error: "UNAUTHORIZED" });
-    }
+class SourceDocumentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
 
-    const { commune_insee, commune_nom, source_pdf_url, target_zone_code: rawTargetZone } = req.body || {};
+function decodePdfBase64(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  // Accept data URIs ("data:application/pdf;base64,....")
+  const payload = value.replace(/^data:[^;,]*;base64,/, "").replace(/\s/g, "");
+  if (!/^[A-Za-z0-9+/]+=*$/.test(payload)) return null;
+  const buffer = Buffer.from(payload, "base64");
+  return buffer.length > 0 ? buffer : null;
+}
 
-    if (!commune_insee || !source_pdf_url) {
-      return res.status(400).json({ success: false, error: "MISSING_PARAMS" });
+function parseDocumentsField(documents) {
+  if (!documents) return [];
+  if (typeof documents === "string") {
+    try {
+      documents = JSON.parse(documents);
+    } catch {
+      throw new SourceDocumentError("INVALID_DOCUMENTS", "documents must be a JSON array");
     }
+  }
+  if (!Array.isArray(documents)) {
+    throw new SourceDocumentError("INVALID_DOCUMENTS", "documents must be an array");
+  }
+  return documents;
+}
 
-    // Normalize target_zone_code if provided
-    const targetZoneCode = normalizeZoneCode(rawTargetZone);
-    const isTargetZoneMode = !!targetZoneCode;
-
-    if (isTargetZoneMode) {
-      meta.target_zone_mode = true;
-      meta.target_zone_code = targetZoneCode;
-      console.log(`[PLU-PARSER] 🎯 TARGET_ZONE_MODE: ${targetZoneCode}`);
-    }
+/**
+ * Build the ordered list of source document descriptors from the request.
+ * Buffers are attached for uploads / base64; URLs are fetched later.
+ * Uploads whose field name is in textUploads are already extracted plain text,
+ * pages separated by form feeds (evaluation fixtures).
+ */
+function resolveSourceDocuments(body, files, textUploads = null) {
+  const uploads = Array.isArray(files) ? files : [];
+  const usedUploads = new Set();
+  const docs = [];
 
-    console.log(`[PLU-PARSER] Commune ${commune_nom || "?"} (${commune_insee}) - PDF:`, source_pdf_url);
+  const findUpload = (ref) =>
+    uploads.find((f) => !usedUploads.has(f) && (f.fieldname === ref || f.originalname === ref));
+  const uploadDocument = (base, file) =>
+    textUploads?.has(file.fieldname)
+      ? { ...base, origin: "text", filename: file.originalname || null, text: file.buffer.toString("utf8"), buffer: file.buffer }
+      : { ...base, origin: "upload", filename: file.originalname || null, buffer: file.buffer };
 
-    // 2️⃣ Fetch PDF
-    let pdfBuffer;
-    try {
-      pdfBuffer = await fetchPdfBuffer(source_pdf_url);
-    } catch (err) {
-      console.error("[PLU-PARSER] PDF fetch error:", err.message);
-      return res.status(502).json({
-        success: false,
-        error: "PDF_FETCH_ERROR",
-        message: err.message,
-      });
+  for (const [i, entry] of parseDocumentsField(body.documents).entries()) {
+    if (!entry || typeof entry !== "object") {
+      throw new SourceDocumentError("INVALID_DOCUMENTS", `documents[${i}] must be an object`);
     }
+    const base = { label: entry.label || null, role: entry.role || null };
 
-    // 3️⃣ Extract text
-    let fullText;
-    try {
-      const pdfData = await pdf(pdfBuffer);
-      fullText = normalizeText(pdfData.text || "");
-    } catch (err) {
-      console.error("[PLU-PARSER] PDF parse error:", err.message);
-      return res.status(500).json({
-        success: false,
-        error: "PDF_PARSE_ERROR",
-        message: err.message,
-      });
+    if (entry.url) {
+      docs.push({ ...base, origin: "url", url: entry.url });
+    } else if (entry.pdf_base64) {
+      const buffer = decodePdfBase64(entry.pdf_base64);
+      if (!buffer) {
+        throw new SourceDocumentError("INVALID_PDF_BASE64", `documents[${i}].pdf_base64 is not valid base64`);
+      }
+      docs.push({ ...base, origin: "base64", filename: entry.filename || null, buffer });
+    } else if (entry.file) {
+      const file = findUpload(entry.file);
+      if (!file) {
+        throw new SourceDocumentError("MISSING_UPLOAD", `documents[${i}] references missing upload "${entry.file}"`);
+      }
+      usedUploads.add(file);
+      docs.push(uploadDocument(base, file));
+    } else {
+      throw new SourceDocumentError("INVALID_DOCUMENTS", `documents[${i}] needs one of url, pdf_base64, file`);
     }
+  }
 
-    if (!fullText || fullText.length < 100) {
-      return res.status(400).json({
-        success: false,
-        error: "PDF_EMPTY_OR_UNREADABLE",
-      });
+  if (body.source_pdf_url) {
+    docs.push({ label: null, role: null, origin: "url", url: body.source_pdf_url });
+  }
+
+  if (body.source_pdf_base64) {
+    const buffer = decodePdfBase64(body.source_pdf_base64);
+    if (!buffer) {
+      throw new SourceDocumentError("INVALID_PDF_BASE64", "source_pdf_base64 is not valid base64");
     }
+    docs.push({ label: null, role: null, origin: "base64", filename: body.source_filename || null, buffer });
+  }
 
-    console.log(`[PLU-PARSER] Extracted ${fullText.length} chars`);
+  for (const file of uploads) {
+    if (usedUploads.has(file)) continue;
+    docs.push(uploadDocument({ label: null, role: null }, file));
+  }
 
-    // 4️⃣ Discovery: zones + plu_version_label
-    let discoveredZones = [];
-    let plu_version_label = extractPluVersionLabel(fullText);
+  if (docs.length > MAX_SOURCE_DOCUMENTS) {
+    throw new SourceDocumentError("TOO_MANY_DOCUMENTS", `At most ${MAX_SOURCE_DOCUMENTS} documents per request`);
+  }
 
-    // Try regex first
-    const regexZones = discoverZonesRegex(fullText);
-    
-    if (regexZones.length > 0) {
-      discoveredZones = regexZones.map((code) => ({ zone_code: code, zone_libelle: null }));
-      meta.used_discovery = "regex";
-      console.log(`[PLU-PARSER] Regex discovered ${discoveredZones.length} zones:`, regexZones);
-    } else {
-      // Fallback to LLM discovery
-      console.log("[PLU-PARSER] Regex found no zones, using LLM discovery...");
-      try {
-        const discovery = await discoverZonesLLM(fullText, openai);
-        discoveredZones = discovery.zones || [];
-        plu_version_label = plu_version_label || discovery.plu_version_label;
-        meta.used_discovery = "llm";
-        console.log(`[PLU-PARSER] LLM discovered ${discoveredZones.length} zones`);
-      } catch (err) {
-        console.error("[PLU-PARSER] LLM discovery error:", err.message);
-        warnings.push("LLM_DISCOVERY_FAILED");
-      }
-    }
+  return docs.map((doc, index) => ({ index, ...doc }));
+}
 
-    meta.zones_detected = discoveredZones.length;
+// Used in logs: URLs are redacted
+function describeSourceDocument(doc) {
+  return (doc.url && redactUrl(doc.url)) || doc.filename || doc.label || `document #${doc.index + 1}`;
+}
 
-    // 5️⃣ Determine zones to process
-    let zonesToProcess = [];
+/**
+ * Public identity of a source document (no buffer), as returned in source_document.
+ */
+function sourceDocumentIdentity(doc) {
+  return {
+    index: doc.index,
+    label: doc.label,
+    role: doc.role,
+    origin: doc.origin,
+    url: doc.url || null,
+    filename: doc.filename || null,
+    sha256: doc.sha256 || null,
+    size_bytes: doc.buffer ? doc.buffer.length : null,
+    pages: doc.pages ?? null,
+    chars: doc.chars ?? null,
+  };
+}
 
-    if (isTargetZoneMode) {
-      // TARGET ZONE MODE: only process the target zone
-      const foundInDiscovery = discoveredZones.find(
-        (z) => normalizeZoneCode(z.zone_code) === targetZoneCode
-      );
+/**
+ * Legacy callers sent one URL and got it back as a string: keep that shape for
+ * single-document requests, return the list of identities otherwise.
+ */
+function buildSourceDocumentField(docs) {
+  if (docs.length === 1 && docs[0].origin === "url") return docs[0].url;
+  if (docs.length === 1) return sourceDocumentIdentity(docs[0]);
+  return docs.map(sourceDocumentIdentity);
+}
 
-      if (foundInDiscovery) {
-        meta.target_zone_found_in_discovery = true;
-        zonesToProcess = [foundInDiscovery];
-        console.log(`[PLU-PARSER] 🎯 Target zone ${targetZoneCode} FOUND in discovery`);
+/**
+ * pdf.js 1.10 (bundled with pdf-parse) mis-reads Node Buffers ("bad XRef
+ * entry") whatever their origin: always hand it a plain Uint8Array.
+ */
+function parsePdf(buffer, options) {
+  const bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  return pdf(Uint8Array.from(bytes), options);
+}
+
+/**
+ * Same line-joining as pdf-parse's default renderer, one string per page;
+ * tables are detected on the lines and rendered as markdown.
+ */
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  const lines = [];
+  for (const item of textContent.items) {
+    if (lines.length > 0 && (lastY == item.transform[5] || !lastY)) {
+      lines[lines.length - 1].push(item);
+    } else {
+      lines.push([item]);
+    }
+    lastY = item.transform[5];
+  }
+  return renderTextLines(lines);
+}
+
+/**
+ * Extract text page by page: { pages: string[], numpages }.
+ */
+async function extractPdfPages(buffer) {
+  const pages = [];
+  const pdfData = await parsePdf(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  // pdf-parse swallows per-page render errors: keep those pages as empty strings
+  return { pages: Array.from({ length: pdfData.numpages }, (_, i) => pages[i] || ""), numpages: pdfData.numpages };
+}
+
+/**
+ * Concatenate documents page by page into the normalised full text and keep the
+ * page map: [{ document_index, page, start, end }] (offsets in the full text).
+ */
+function assembleFullText(docs) {
+  let text = "";
+  const pageIndex = [];
+
+  for (const doc of docs) {
+    if (docs.length > 1) text += documentSeparator(doc);
+    const docStart = text.length;
+    doc.pagesText.forEach((raw, i) => {
+      if (i > 0) text += "\n\n";
+      const pageText = normalizeText(raw).trim();
+      pageIndex.push({ document_index: doc.index, page: i + 1, start: text.length, end: text.length + pageText.length });
+      text += pageText;
+    });
+    doc.chars = text.length - docStart;
+  }
+
+  return { text, pageIndex };
+}
+
+function documentSeparator(doc) {
+  const name = [doc.role, doc.label || describeSourceDocument(doc)].filter(Boolean).join(" – ");
+  return `\n\n===== DOCUMENT ${doc.index + 1} : ${name} =====\n\n`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TABLES (TEXT POSITIONS → MARKDOWN)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Height, emprise and parking figures are often laid out in tables, one column
+ * per sector or destination. Flattened line by line they become runs of
+ * numbers ("Hauteur12 m15 m"). Page lines are split into cells where the gap
+ * between two text items exceeds a few characters; runs of multi-cell lines
+ * whose cells fall in shared columns are rendered as markdown tables:
+ *   | Secteur | Hauteur maximale |
+ *   | --- | --- |
+ *   | UA | 12 m |
+ * The LLM reads the markdown; regex extraction and sector overrides read the
+ * tables linearised per zone / sector ("UA – Hauteur maximale : 12 m.").
+ */
+
+// Bump when page text rendering changes: cached text is keyed on it
+const TEXT_LAYOUT_VERSION = 2;
+
+const MIN_TABLE_ROWS = 3;
+
+function fontSizeOf(item) {
+  return Math.hypot(item.transform[2], item.transform[3]) || 10;
+}
+
+/**
+ * Cells of one rendered line, left to right: [{ text, x0, x1 }].
+ */
+function lineCells(items) {
+  const sorted = items
+    .filter((item) => item.str.trim())
+    .map((item) => {
+      const x0 = item.transform[4];
+      const width = item.width || item.str.length * fontSizeOf(item) * 0.5;
+      return { str: item.str, x0, x1: x0 + width, gap: Math.max(2 * fontSizeOf(item), 10) };
+    })
+    .sort((a, b) => a.x0 - b.x0);
+
+  const cells = [];
+  for (const item of sorted) {
+    const last = cells[cells.length - 1];
+    if (last && item.x0 - last.x1 < item.gap) {
+      last.text += item.x0 - last.x1 > 1 && !/\s$/.test(last.text) ? ` ${item.str}` : item.str;
+      last.x1 = Math.max(last.x1, item.x1);
+    } else {
+      cells.push({ text: item.str, x0: item.x0, x1: item.x1, gap: item.gap });
+    }
+  }
+  return cells.map(({ text, x0, x1 }) => ({ text: text.trim(), x0, x1 }));
+}
+
+// Columns = unions of overlapping cell spans across the rows
+function tableColumns(rowsCells) {
+  const spans = rowsCells.flat().map((c) => [c.x0, c.x1]).sort((a, b) => a[0] - b[0]);
+  const columns = [];
+  for (const [x0, x1] of spans) {
+    const last = columns[columns.length - 1];
+    if (last && x0 <= last[1]) last[1] = Math.max(last[1], x1);
+    else columns.push([x0, x1]);
+  }
+  return columns;
+}
+
+function columnOf(columns, cell) {
+  const index = columns.findIndex(([x0, x1]) => cell.x0 <= x1 && cell.x1 >= x0);
+  return index === -1 ? 0 : index;
+}
+
+function markdownRow(cells) {
+  return `| ${cells.map((c) => c.replace(/\|/g, "/").replace(/\s+/g, " ").trim()).join(" | ")} |`;
+}
+
+/**
+ * Markdown table for a run of lines, or null when the cells do not line up.
+ * Single-cell lines inside the run continue the cell above (wrapped text).
+ */
+function buildTable(run) {
+  const columns = tableColumns(run.filter((cells) => cells.length > 1));
+  if (columns.length < 2) return null;
+
+  const rows = [];
+  for (const cells of run) {
+    if (cells.length === 1 && rows.length > 0) {
+      const row = rows[rows.length - 1];
+      const col = columnOf(columns, cells[0]);
+      row[col] = row[col] ? `${row[col]} ${cells[0].text}` : cells[0].text;
+      continue;
+    }
+    const row = columns.map(() => "");
+    for (const cell of cells) {
+      const col = columnOf(columns, cell);
+      row[col] = row[col] ? `${row[col]} ${cell.text}` : cell.text;
+    }
+    rows.push(row);
+  }
+
+  // Text in two blocks side by side also splits into cells: a table has rows filling several columns
+  const filledRows = rows.filter((row) => row.filter(Boolean).length >= 2).length;
+  if (filledRows < 2 || rows.length < 2) return null;
+
+  const [header, ...body] = rows;
+  return [markdownRow(header), markdownRow(columns.map(() => "---")), ...body.map(markdownRow)].join("\n");
+}
+
+/**
+ * Page text from pdf.js lines (arrays of text items, content-stream order),
+ * tables rendered as markdown between blank lines.
+ */
+function renderTextLines(lines) {
+  const cells = lines.map(lineCells);
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (cells[i].length < 2) {
+      out.push(lines[i].map((item) => item.str).join(""));
+      i++;
+      continue;
+    }
+
+    // Extend the run over multi-cell lines, and single-cell lines followed by one
+    let end = i + 1;
+    let multiCell = 1;
+    while (end < lines.length) {
+      if (cells[end].length >= 2) {
+        multiCell++;
+        end++;
+      } else if (cells[end].length === 1 && end + 1 < lines.length && cells[end + 1].length >= 2) {
+        end++;
       } else {
-        // Target zone not found in discovery, but we still try to extract it
-        meta.target_zone_found_in_discovery = false;
-        zonesToProcess = [{ zone_code: targetZoneCode, zone_libelle: null }];
-        console.log(`[PLU-PARSER] 🎯 Target zone ${targetZoneCode} NOT in discovery, attempting extraction anyway`);
-        warnings.push(`TARGET_ZONE_NOT_IN_DISCOVERY: ${targetZoneCode}`);
+        break;
+      }
+    }
+
+    const maxColumns = Math.max(...cells.slice(i, end).map((c) => c.length));
+    const table = multiCell >= MIN_TABLE_ROWS || (multiCell >= 2 && maxColumns >= 3) ? buildTable(cells.slice(i, end)) : null;
+    if (table) {
+      out.push("", table, "");
+    } else {
+      for (let k = i; k < end; k++) out.push(lines[k].map((item) => item.str).join(""));
+    }
+    i = end;
+  }
+  return out.join("\n");
+}
+
+const MARKDOWN_TABLE = /^\|.*\|[ \t]*\n\|(?:[ \t]*:?-{3,}:?[ \t]*\|)+[ \t]*(?:\n\|.*\|[ \t]*)*$/gm;
+
+function splitMarkdownRow(line) {
+  return line.trim().replace(/^\||\|$/g, "").split("|").map((cell) => cell.trim());
+}
+
+/**
+ * Markdown tables of a text: [{ start, end, header, rows }].
+ */
+function parseMarkdownTables(text) {
+  const tables = [];
+  MARKDOWN_TABLE.lastIndex = 0;
+  let match;
+  while ((match = MARKDOWN_TABLE.exec(text)) !== null) {
+    const [header, , ...rows] = match[0].split("\n").map(splitMarkdownRow);
+    tables.push({ start: match.index, end: match.index + match[0].length, header, rows });
+  }
+  return tables;
+}
+
+// "UA", "Zone UA", "Secteur UAa" → code, else null
+function cellZoneCode(cell) {
+  const code = (cell || "").replace(/^(?:zones?|(?:sous-)?secteurs?)\s+/i, "").trim();
+  return isZoneCode(code) ? code : null;
+}
+
+/**
+ * One sentence per cell, naming the row and column it belongs to. Tables keyed
+ * by zone / sector (first column or header row) keep only zoneCode's values
+ * when it is given.
+ */
+function tableSentences({ header, rows }, zoneCode = null) {
+  const sentences = [];
+  const push = (label, value) => {
+    const cleaned = (value || "").replace(/[.;\s]+$/, "");
+    if (cleaned && cleaned !== "-" && cleaned !== "–") sentences.push(`${label} : ${cleaned}.`);
+  };
+  const keep = (code) => !zoneCode || code === zoneCode;
+
+  const rowCodes = rows.map((row) => cellZoneCode(row[0]));
+  const columnCodes = header.map((cell, j) => (j > 0 ? cellZoneCode(cell) : null));
+
+  if (rowCodes.filter(Boolean).length * 2 >= rows.length) {
+    rows.forEach((row, i) => {
+      if (!rowCodes[i] || !keep(rowCodes[i])) return;
+      for (let j = 1; j < row.length; j++) push(`${row[0]} – ${header[j] || ""}`.trim(), row[j]);
+    });
+  } else if (columnCodes.some(Boolean)) {
+    header.forEach((cell, j) => {
+      if (!columnCodes[j] || !keep(columnCodes[j])) return;
+      for (const row of rows) push(`${cell} – ${row[0]}`, row[j]);
+    });
+  } else {
+    for (const row of rows) {
+      if (row.length === 2) push(row[0], row[1]);
+      else for (let j = 1; j < row.length; j++) push(`${row[0]} – ${header[j] || ""}`.trim(), row[j]);
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Replace the markdown tables of an excerpt by their sentences.
+ */
+function linearizeTables(text, zoneCode = null) {
+  if (!text || !text.includes("|")) return text;
+  const tables = parseMarkdownTables(text);
+  if (tables.length === 0) return text;
+
+  let out = "";
+  let last = 0;
+  for (const table of tables) {
+    out += text.slice(last, table.start) + tableSentences(table, zoneCode).join("\n");
+    last = table.end;
+  }
+  return out + text.slice(last);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESULT CACHE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Content-addressed levels:
+ *   text:<pdf sha256>:<layout version>                  extracted + normalised text
+ *   ocr:<pdf sha256>:<lang>:<dpi>                       OCR text of scanned pages
+ *   ruleset:<text sha256>:<zone>:<parser version>:<backend>  post-processed ruleset
+ * A store exposes async get(key), set(key, value, ttlMs), delete(key), clear(prefix).
+ * PLU_CACHE_STORE = memory (default, bounded by PLU_CACHE_MAX_ENTRIES and PLU_CACHE_MAX_MB) | disk | none
+ */
+
+const CACHE_TEXT_TTL_MS = Number(process.env.PLU_CACHE_TEXT_TTL_S || 30 * 24 * 3600) * 1000;
+const CACHE_RULESET_TTL_MS = Number(process.env.PLU_CACHE_RULESET_TTL_S || 7 * 24 * 3600) * 1000;
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+function isExpired(entry) {
+  return entry.expires_at !== null && entry.expires_at <= Date.now();
+}
+
+/**
+ * In-process LRU store, bounded by entry count and by the JSON size of the
+ * values (text layers of large règlements weigh several MB each).
+ */
+function createMemoryCacheStore({ maxEntries = 500, maxBytes = 256 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+    return true;
+  };
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        remove(key);
+        return null;
+      }
+      // Refresh LRU position
+      entries.delete(key);
+      entries.set(key, entry);
+      // Callers decorate results (storey height…): never hand out the stored object
+      return structuredClone(entry.value);
+    },
+    async set(key, value, ttlMs) {
+      remove(key);
+      const bytes = Buffer.byteLength(JSON.stringify(value) ?? "");
+      // A value larger than the whole budget would only evict everything else
+      if (bytes > maxBytes) return;
+      entries.set(key, { value: structuredClone(value), bytes, expires_at: ttlMs > 0 ? Date.now() + ttlMs : null });
+      totalBytes += bytes;
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
       }
+    },
+    async delete(key) {
+      remove(key);
+    },
+    async clear(prefix = "") {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix) && remove(key)) removed++;
+      }
+      return removed;
+    },
+  };
+}
+
+function createDiskCacheStore({ dir }) {
+  const fileFor = (key) => path.join(dir, `${sha256(key)}.json`);
+
+  return {
+    name: "disk",
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        return null;
+      }
+      if (entry.key !== key) return null;
+      if (isExpired(entry)) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = { key, value, expires_at: ttlMs > 0 ? Date.now() + ttlMs : null };
+      // Write then rename so that concurrent readers never see a partial file
+      const tmp = tmpPathFor(fileFor(key));
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, fileFor(key));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async clear(prefix = "") {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch {
+        return 0;
+      }
+      let removed = 0;
+      for (const file of files.filter((f) => f.endsWith(".json"))) {
+        const filePath = path.join(dir, file);
+        try {
+          const entry = JSON.parse(await fs.readFile(filePath, "utf8"));
+          if (!entry.key?.startsWith(prefix)) continue;
+        } catch {
+          // Unreadable entries are dropped as well
+        }
+        await fs.rm(filePath, { force: true });
+        removed++;
+      }
+      return removed;
+    },
+  };
+}
+
+function createCacheStore(kind = process.env.PLU_CACHE_STORE || "memory") {
+  switch (kind.toLowerCase()) {
+    case "none":
+      return null;
+    case "disk":
+      return createDiskCacheStore({ dir: process.env.PLU_CACHE_DIR || ".cache/plu-parser" });
+    case "memory":
+      return createMemoryCacheStore({
+        maxEntries: Number(process.env.PLU_CACHE_MAX_ENTRIES) || 500,
+        maxBytes: Number(process.env.PLU_CACHE_MAX_MB || 256) * 1024 * 1024,
+      });
+    default:
+      throw new Error(`Unknown PLU_CACHE_STORE "${kind}" (expected memory, disk or none)`);
+  }
+}
+
+const cacheStore = createCacheStore();
+
+// Cache failures must never fail a parse: log and carry on without cache
+async function cacheGet(key) {
+  if (!cacheStore) return null;
+  try {
+    return await cacheStore.get(key);
+  } catch (err) {
+    console.error("[PLU-PARSER] Cache read error:", err.message);
+    return null;
+  }
+}
+
+async function cacheSet(key, value, ttlMs) {
+  if (!cacheStore) return;
+  try {
+    await cacheStore.set(key, value, ttlMs);
+  } catch (err) {
+    console.error("[PLU-PARSER] Cache write error:", err.message);
+  }
+}
+
+function textCacheKey(pdfHash) {
+  return `text:${pdfHash}:${TEXT_LAYOUT_VERSION}`;
+}
+
+/**
+ * Hash identifying the concatenated document set (order matters).
+ */
+function documentsHash(docs) {
+  return docs.length === 1 ? docs[0].sha256 : sha256(docs.map((d) => d.sha256).join(","));
+}
+
+/**
+ * Latest successful ruleset of a commune zone, for endpoints that work on an
+ * already parsed PLU (value: { ruleset, plu_version_label, documents_sha256, stored_at }).
+ */
+function communeZoneCacheKey(communeInsee, zoneCode) {
+  return `commune:${communeInsee}:${zoneCode}`;
+}
+
+/**
+ * Rulesets are keyed on the extracted text rather than the documents: the same
+ * PDF read with or without OCR yields different rulesets.
+ */
+function rulesetCacheKey(textHash, zoneCode, backend) {
+  const backendId = backend.model ? `${backend.name}@${backend.model}` : backend.name;
+  return `ruleset:${textHash}:${zoneCode}:${PARSER_VERSION}:${backendId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OCR FALLBACK (SCANNED RÈGLEMENTS)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Scanned PDFs have no text layer. Their pages are rasterised with pdftoppm
+ * (poppler-utils) and read by Tesseract with French data (tesseract-ocr-fra),
+ * page by page so the page map is unchanged. Per request, "ocr":
+ *   auto (default)  when the document averages less than
+ *                   PLU_OCR_MIN_CHARS_PER_PAGE characters per page, OCR its sparse pages
+ *   force           OCR every page, replacing the text layer
+ *   off             never
+ * OCR text is cached per PDF: ocr:<pdf sha256>:<lang>:<dpi> → { pages: { "<page>": text } }
+ */
+
+const OCR_MODES = ["auto", "force", "off"];
+const OCR_LANG = process.env.PLU_OCR_LANG || "fra";
+const OCR_DPI = Number(process.env.PLU_OCR_DPI) || 300;
+const OCR_MIN_CHARS_PER_PAGE = Number(process.env.PLU_OCR_MIN_CHARS_PER_PAGE) || 200;
+const OCR_PAGE_TIMEOUT_MS = Number(process.env.PLU_OCR_PAGE_TIMEOUT_S || 120) * 1000;
+const OCR_MAX_PAGES = Number(process.env.PLU_OCR_MAX_PAGES) || 300;
+
+class OcrError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const execFileAsync = promisify(execFile);
+
+function parseOcrMode(value) {
+  if (value === undefined || value === null || value === "") return "auto";
+  const mode = String(value).toLowerCase();
+  return OCR_MODES.includes(mode) ? mode : null;
+}
+
+function ocrCacheKey(pdfHash) {
+  return `ocr:${pdfHash}:${OCR_LANG}:${OCR_DPI}`;
+}
+
+let ocrAvailability = null;
+
+/**
+ * Checked once per process: { available, reason }.
+ */
+function checkOcrAvailable() {
+  if (!ocrAvailability) {
+    ocrAvailability = (async () => {
+      try {
+        // Some poppler builds exit non-zero on -v: only a missing binary matters
+        await execFileAsync("pdftoppm", ["-v"], { timeout: 10000 }).catch((err) => {
+          if (err.code === "ENOENT") throw err;
+        });
+        const { stdout, stderr } = await execFileAsync("tesseract", ["--list-langs"], { timeout: 10000 });
+        const installed = `${stdout}\n${stderr}`.split(/\s+/);
+        const missing = OCR_LANG.split("+").filter((lang) => !installed.includes(lang));
+        if (missing.length) {
+          return { available: false, reason: `Tesseract language data not installed: ${missing.join(", ")}` };
+        }
+        return { available: true, reason: null };
+      } catch (err) {
+        return { available: false, reason: `pdftoppm/tesseract not found (${err.message})` };
+      }
+    })();
+  }
+  return ocrAvailability;
+}
+
+// Indexes of the pages to OCR
+function pagesNeedingOcr(pagesText, mode) {
+  if (mode === "off" || pagesText.length === 0) return [];
+  if (mode === "force") return pagesText.map((_, i) => i);
+
+  const chars = pagesText.map((text) => text.replace(/\s/g, "").length);
+  const total = chars.reduce((sum, n) => sum + n, 0);
+  if (total >= OCR_MIN_CHARS_PER_PAGE * pagesText.length) return [];
+  return chars.flatMap((n, i) => (n < OCR_MIN_CHARS_PER_PAGE ? [i] : []));
+}
+
+async function ocrPage(pdfPath, pageNumber, workDir) {
+  const prefix = path.join(workDir, `page-${pageNumber}`);
+  const page = String(pageNumber);
+  await execFileAsync("pdftoppm", ["-r", String(OCR_DPI), "-f", page, "-l", page, "-gray", "-png", "-singlefile", pdfPath, prefix], {
+    timeout: OCR_PAGE_TIMEOUT_MS,
+  });
+  const { stdout } = await execFileAsync("tesseract", [`${prefix}.png`, "stdout", "-l", OCR_LANG], {
+    timeout: OCR_PAGE_TIMEOUT_MS,
+    maxBuffer: 16 * 1024 * 1024,
+  });
+  await fs.rm(`${prefix}.png`, { force: true });
+  return stdout;
+}
+
+/**
+ * Replace the text of the document's scanned pages by their OCR text.
+ * Returns { pages, failed_pages } (1-based page numbers).
+ */
+async function applyOcr(doc, mode, { forceRefresh = false } = {}) {
+  const targets = pagesNeedingOcr(doc.pagesText, mode).slice(0, OCR_MAX_PAGES);
+  const result = { pages: [], failed_pages: [] };
+  if (targets.length === 0) return result;
+
+  const cacheKey = ocrCacheKey(doc.sha256);
+  const cached = (forceRefresh ? null : await cacheGet(cacheKey)) || { pages: {} };
+  const missing = targets.filter((i) => typeof cached.pages[i + 1] !== "string");
+
+  if (missing.length > 0) {
+    const { available, reason } = await checkOcrAvailable();
+    if (!available) throw new OcrError("OCR_UNAVAILABLE", reason);
+
+    console.log(`[PLU-PARSER] 🔎 OCR ${missing.length} page(s) of ${describeSourceDocument(doc)}`);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "plu-ocr-"));
+    try {
+      const pdfPath = path.join(workDir, "source.pdf");
+      await fs.writeFile(pdfPath, doc.buffer);
+      for (const i of missing) {
+        try {
+          cached.pages[i + 1] = await ocrPage(pdfPath, i + 1, workDir);
+        } catch (err) {
+          console.error(`[PLU-PARSER] OCR error (page ${i + 1}):`, err.message);
+          result.failed_pages.push(i + 1);
+        }
+      }
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+    await cacheSet(cacheKey, cached, CACHE_TEXT_TTL_MS);
+  }
+
+  for (const i of targets) {
+    const text = cached.pages[i + 1];
+    if (typeof text !== "string") continue;
+    // In auto mode a text layer richer than the OCR (blank scan, vector drawing) is kept
+    if (mode === "force" || text.trim().length > doc.pagesText[i].trim().length) {
+      doc.pagesText[i] = text;
+      result.pages.push(i + 1);
+    }
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ZONE NOMENCLATURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * French PLU zone codes are an uppercase root, optionally followed by a
+ * lowercase sector suffix:
+ *   U   urban           UA, UB, UCa, UE (équipements), UX/UY/UZ (activités)
+ *   AU  to urbanise     AU, 1AU, 2AUh, AUe, AUx, 1AUX
+ *   A   agricultural    A, Ap, Ah, Azh, AP
+ *   N   natural         N, Nh, Nl, Nzh, Nj, NL, NCe
+ * Ah/Nh/Nl-style sectors are often STECAL (secteurs de taille et de capacité
+ * d'accueil limitées). Discovery and zone segmentation both rely on this model.
+ */
+
+const ZONE_CODE_PATTERN = /^(?:[1-9]?AU[A-Z]{0,2}|U[A-Z]{0,2}|A[A-Z]{0,2}|N[A-Z]{0,2})(?:[a-z]{1,3}\d?)?$/;
+
+// Acronyms and capitalised words that fit the pattern but are not zones
+const NOT_ZONE_CODES = new Set(["ABF", "AOC", "AOP", "NGF", "NB", "AVAP", "UDAP", "UTN", "AEU", "AUP", "Nord", "Aire", "Axe", "Arc", "Un", "Une", "Au", "Aux"]);
+
+const ZONE_TYPES = [
+  [/^[1-9]?AU/, "A_URBANISER"],
+  [/^U/, "URBAINE"],
+  [/^A/, "AGRICOLE"],
+  [/^N/, "NATURELLE"],
+];
+
+// Code-shaped token; the case is checked by isZoneCode on the original text
+const ZONE_TOKEN = "\\d?[A-Za-z]{1,4}[a-z]{0,3}\\d?(?![A-Za-z0-9])";
+
+function isZoneCode(code) {
+  return !!code && ZONE_CODE_PATTERN.test(code) && !NOT_ZONE_CODES.has(code);
+}
+
+function zoneType(code) {
+  return ZONE_TYPES.find(([pattern]) => pattern.test(code || ""))?.[1] ?? null;
+}
+
+function parentZoneCode(code) {
+  const match = /^(\d?[A-Z]+)[a-z][a-z0-9]*$/.exec(code || "");
+  return match ? match[1] : null;
+}
+
+const ZONE_HEADING_PATTERNS = [
+  // "ZONE UA", "CHAPITRE 2 - DISPOSITIONS APPLICABLES A LA ZONE UB : zone pavillonnaire"
+  new RegExp(
+    `^[ \\t]*(?:(?:titre|chapitre)\\s+[\\dIVXL]+\\s*[-–:.]?\\s*)?(?:(?:dispositions|r[èe]glement|r[èe]gles)\\s+(?:applicables?|relatives?)\\s+(?:[àa]\\s+la\\s+|aux\\s+)?)?zones?\\s+(?:(?:urbaines?|agricoles?|naturelles?(?:\\s+et\\s+foresti[èe]res?)?|[àa]\\s+urbaniser)\\s+)?[«"]?\\s*(${ZONE_TOKEN})\\s*[»"]?(?:[ \\t]*[-–:][ \\t]*([^\\n]{3,120}))?[ \\t]*$`,
+    "gim",
+  ),
+  // "UA - Zone urbaine centrale"
+  new RegExp(`^[ \\t]*(${ZONE_TOKEN})[ \\t]*[-–:][ \\t]*([Zz][Oo][Nn][Ee][ \\t][^\\n]{3,120})$`, "gm"),
+  // "CHAPITRE 3 - UX"
+  new RegExp(`^[ \\t]*chapitre\\s+[\\dIVXL]+\\s*[-–:.]\\s*(${ZONE_TOKEN})(?:[ \\t]*[-–:][ \\t]*([^\\n]{3,120}))?[ \\t]*$`, "gim"),
+];
+
+/*
+ * Per-document analyses (zone headings, heading tree, segment index), keyed
+ * by the full text. runPluParse pins its document for the whole parse, so
+ * concurrent parses of other documents cannot evict it; unpinned documents
+ * (/api/plu-structure, finished parses) are kept in a small LRU.
+ */
+const TEXT_ANALYSIS_CACHE_SIZE = 4;
+const textAnalyses = new Map();
+
+function textAnalysis(text) {
+  let analysis = textAnalyses.get(text);
+  if (analysis) {
+    // Most recently used last
+    textAnalyses.delete(text);
+  } else {
+    analysis = { pins: 0, headings: null, tree: null, segments: null };
+  }
+  textAnalyses.set(text, analysis);
+  evictTextAnalyses();
+  return analysis;
+}
+
+function evictTextAnalyses() {
+  let unpinned = [...textAnalyses.values()].filter((analysis) => analysis.pins === 0).length;
+  for (const [text, analysis] of textAnalyses) {
+    if (unpinned <= TEXT_ANALYSIS_CACHE_SIZE) break;
+    if (analysis.pins > 0) continue;
+    textAnalyses.delete(text);
+    unpinned--;
+  }
+}
+
+function pinTextAnalysis(text) {
+  textAnalysis(text).pins++;
+}
+
+function unpinTextAnalysis(text) {
+  const analysis = textAnalyses.get(text);
+  if (!analysis) return;
+  analysis.pins--;
+  evictTextAnalyses();
+}
+
+/**
+ * Zone headings in document order: [{ zone_code, index, libelle }]. A table of
+ * contents or running page headers also produce entries; callers pick the
+ * occurrence that opens the longest span.
+ */
+function findZoneHeadings(text) {
+  const analysis = textAnalysis(text);
+  if (analysis.headings) return analysis.headings;
+
+  const headings = [];
+  for (const pattern of ZONE_HEADING_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!isZoneCode(match[1])) continue;
+      headings.push({ zone_code: match[1], index: match.index, libelle: match[2] ? cleanNote(match[2], 120) : null });
+    }
+  }
+  headings.sort((a, b) => a.index - b.index);
+
+  analysis.headings = headings;
+  return headings;
+}
+
+/**
+ * Heading that opens the zone's chapter: the occurrence followed by the most
+ * text before another zone's heading (sectors of the zone do not end it).
+ */
+function findZoneChapter(text, zoneCode) {
+  const headings = findZoneHeadings(text);
+  const isOtherZone = (h) => h.zone_code !== zoneCode && parentZoneCode(h.zone_code) !== zoneCode;
+
+  let best = null;
+  for (const heading of headings) {
+    if (heading.zone_code !== zoneCode) continue;
+    const next = headings.find((h) => h.index > heading.index && isOtherZone(h));
+    const end = next ? next.index : text.length;
+    if (!best || end - heading.index > best.end - best.start) {
+      best = { start: heading.index, end, libelle: heading.libelle };
+    }
+  }
+  if (best && !best.libelle) {
+    best.libelle = headings.find((h) => h.zone_code === zoneCode && h.libelle)?.libelle ?? null;
+  }
+  return best;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ZONE DISCOVERY (REGEX-FIRST)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ZONE_LIST_SEPARATOR = /\s*,\s*|\s+et\s+|\s+ou\s+/;
+
+/**
+ * Zones from headings, legacy article headings ("ARTICLE UA 6") and mentions
+ * such as "la zone UX", "les secteurs Nh, Nl et Nzh", "STECAL Ah".
+ * Returns [{ zone_code, zone_libelle, type_zone, stecal }] in document order.
+ */
+function discoverZonesRegex(text, maxZones = MAX_DISCOVERED_ZONES) {
+  const firstSeen = new Map();
+  const see = (code, index) => {
+    if (!isZoneCode(code)) return;
+    if (!firstSeen.has(code) || index < firstSeen.get(code)) firstSeen.set(code, index);
+  };
+
+  for (const heading of findZoneHeadings(text)) {
+    see(heading.zone_code, heading.index);
+  }
+
+  const articleHeading = new RegExp(`^[ \\t]*art(?:icle|\\.)?\\s*(${ZONE_TOKEN})\\s*[.\\-]?\\s*\\d{1,2}\\b`, "gim");
+  const mention = new RegExp(
+    `\\b(?:zones?|secteurs?|sous-secteurs?|STECAL)\\s+(?:(?:urbaines?|agricoles?|naturelles?|[àa]\\s+urbaniser)\\s+)?[«"]?\\s*(${ZONE_TOKEN}(?:(?:\\s*,\\s*|\\s+et\\s+|\\s+ou\\s+)${ZONE_TOKEN})*)`,
+    "gi",
+  );
+  let match;
+  while ((match = articleHeading.exec(text)) !== null) {
+    see(match[1], match.index);
+  }
+  while ((match = mention.exec(text)) !== null) {
+    for (const code of match[1].split(ZONE_LIST_SEPARATOR)) see(code, match.index);
+  }
+
+  const zones = [...firstSeen.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([code]) => {
+      const escaped = escapeRegExp(code);
+      return {
+        zone_code: code,
+        zone_libelle: findZoneChapter(text, code)?.libelle ?? null,
+        type_zone: zoneType(code),
+        // Named as a STECAL in the same sentence
+        stecal: new RegExp(
+          `STECAL[^\\n.]{0,120}(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])|(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])[^\\n.]{0,120}(?:STECAL|taille\\s+et\\s+de\\s+capacit[ée])`,
+        ).test(text),
+      };
+    });
+
+  return maxZones > 0 ? zones.slice(0, maxZones) : zones;
+}
+
+function extractPluVersionLabel(text) {
+  const patterns = [
+    /PLU\s+(?:de\s+)?([A-ZÀ-Ÿ][a-zà-ÿ]+(?:\s+[A-ZÀ-Ÿ][a-zà-ÿ]+)?)\s*[-–]?\s*(20\d{2})/gi,
+    /(?:approuvé|approbation)\s+(?:le\s+)?(\d{1,2}\s+\w+\s+)?(20\d{2})/gi,
+    /PLU\s+(20\d{2})/gi,
+    /révision\s+n°?\s*\d+\s*[-–]?\s*(20\d{2})/gi,
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return cleanNote(match[0], 100);
+    }
+  }
+  return null;
+}
+
+async function discoverZonesLLM(text, openaiClient, model = DEFAULT_OPENAI_MODEL, usage = null) {
+  const start = text.slice(0, 10000);
+  const mid = text.slice(Math.floor(text.length / 2) - 5000, Math.floor(text.length / 2) + 5000);
+  const end = text.slice(-10000);
+  const excerpt = `${start}\n\n[...]\n\n${mid}\n\n[...]\n\n${end}`;
+
+  const systemPrompt = `Tu es un extracteur de zones PLU.
+À partir d'un extrait de PLU, renvoie UNIQUEMENT un JSON:
+{
+  "plu_version_label": string|null,
+  "zones": [{"zone_code": "UA", "zone_libelle": string|null}, ...]
+}
+- zone_code: code exact avec la casse du document (UA, UB, UX, 1AU, AUe, A, Ap, N, Nh, Nzh, etc.), y compris les secteurs
+- zone_libelle: intitulé de la zone tel qu'indiqué dans le titre du chapitre, sinon null
+- Si pas trouvé, renvoie zones: []
+- Pas de texte avant/après, uniquement le JSON.`;
+
+  const completion = await openaiClient.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: excerpt },
+    ],
+    response_format: { type: "json_object" },
+    temperature: 0,
+    max_tokens: 2000,
+  });
+  addLLMUsage(usage, completion);
+
+  const raw = completion.choices[0]?.message?.content;
+  try {
+    const parsed = JSON.parse(raw);
+    return {
+      plu_version_label: parsed.plu_version_label || null,
+      zones: Array.isArray(parsed.zones) ? parsed.zones : [],
+    };
+  } catch {
+    return { plu_version_label: null, zones: [] };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ARTICLE EXTRACTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Locate the text span of a zone: its segment in the règlement tree, else the
+ * chapter found by the zone heading patterns, else its first mention after the
+ * table of contents up to the next zone heading.
+ */
+function findZoneBounds(text, zoneCode) {
+  const segment = zoneSegment(text, zoneCode);
+  if (segment) {
+    return { start: segment.start, end: segment.end, located: true };
+  }
+  const chapter = findZoneChapter(text, zoneCode);
+  if (chapter) {
+    return { start: chapter.start, end: chapter.end, located: true };
+  }
+  const { toc } = buildReglementTree(text);
+  const tocEnd = toc.length ? text.indexOf("\n", Math.max(...toc.map((e) => e.char_start))) + 1 : 0;
+
+  const escaped = escapeRegExp(zoneCode);
+  const zonePatterns = [
+    new RegExp(`zone\\s+${escaped}(?![A-Za-z0-9])`, "i"),
+    new RegExp(`(?<![A-Za-z0-9])${escaped}\\s+[-–]`, "i"),
+    new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`, "i"),
+  ];
+
+  let zoneStart = null;
+  for (const zp of zonePatterns) {
+    const match = zp.exec(text.slice(tocEnd));
+    if (match) {
+      zoneStart = tocEnd + match.index;
+      break;
+    }
+  }
+  if (zoneStart === null) return { start: 0, end: text.length, located: false };
+
+  // Next heading of another zone (the zone's own sectors do not end it)
+  const next = findZoneHeadings(text).find(
+    (h) => h.index >= zoneStart + 100 && h.zone_code !== zoneCode && parentZoneCode(h.zone_code) !== zoneCode,
+  );
+  return { start: zoneStart, end: next ? next.index : text.length, located: true };
+}
+
+/**
+ * Returns { text, start } (start = offset in the full text) or null. The
+ * article's node in the segmentation index gives its exact body; the keyword
+ * search inside the zone span is kept for documents without clean headings,
+ * and stops at the next article heading.
+ */
+function findArticleExcerpt(text, articleNum, zoneCode, windowSize = 5000) {
+  const node = findArticleNode(text, articleNum, zoneCode);
+  if (node) {
+    return { text: text.slice(node.char_start, Math.min(node.char_end, node.char_start + windowSize)), start: node.char_start };
+  }
+
+  const articlePatterns = [
+    new RegExp(`article\\s+${articleNum}\\b`, "gi"),
+    new RegExp(`art\\.?\\s*${articleNum}\\b`, "gi"),
+    new RegExp(`^[ \\t]*${articleNum}\\s*[-–:]\\s*[a-zà-ÿ]`, "gim"),
+  ];
+
+  const { start, end } = findZoneBounds(text, zoneCode);
+  const zoneText = text.slice(start, end);
+  const zoneLower = zoneText.toLowerCase();
+
+  // Find article within zone text
+  for (const ap of articlePatterns) {
+    ap.lastIndex = 0;
+    const match = ap.exec(zoneLower);
+    if (match) {
+      const articleStart = match.index;
+      LEGACY_ARTICLE_HEADING.lastIndex = articleStart + match[0].length;
+      const next = LEGACY_ARTICLE_HEADING.exec(zoneLower);
+      const excerptEnd = Math.min(next ? next.index : zoneText.length, articleStart + windowSize);
+      return { text: zoneText.slice(articleStart, excerptEnd), start: start + articleStart };
+    }
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RÈGLEMENT STRUCTURE (LEGACY ARTICLES 1–16 vs POST-2016 THEMATIC CHAPTERS)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Since the 2015 recodification (décret n° 2015-1783), règlements may drop the
+ * 16 numbered articles and be organised by themes:
+ *   Chapitre 1 – Destination des constructions, usages des sols…
+ *   Chapitre 2 – Caractéristiques urbaine, architecturale, environnementale et paysagère
+ *     • Volumétrie et implantation des constructions
+ *     • Implantation par rapport aux voies / aux limites séparatives
+ *     • Emprise au sol, Hauteur, Stationnement…
+ *   Chapitre 3 – Équipements et réseaux
+ */
+
+const LEGACY_ARTICLE_HEADING =
+  /\bart(?:icle|\.)?\s*(?:[0-9]?[a-z]{1,3}\s*[.\-]?\s*)?(?:[1-9]|1[0-6])\s*[-–:.]\s*[a-zà-ÿ]/gi;
+
+const THEMATIC_MARKERS = [
+  /caract[ée]ristiques?\s+urbaines?,?\s+architecturales?/gi,
+  /destinations?\s+des\s+constructions,?\s+usages?\s+des\s+sols/gi,
+  /volum[ée]trie\s+et\s+implantation\s+des\s+constructions/gi,
+  /qualit[ée]\s+urbaine,?\s+architecturale,?\s+environnementale/gi,
+  /traitement\s+environnemental\s+et\s+paysager/gi,
+  /[ée]quipements?\s+et\s+r[ée]seaux/gi,
+];
+
+// Optional numbering in front of a thematic heading: "2.1 –", "II.3)", "§ 4", "Article 5 :"
+const HEADING_PREFIX =
+  "^[ \\t]*(?:(?:art(?:icle|\\.)?|section|paragraphe|§)\\s*)?(?:[0-9IVXivx]+(?:[.\\-][0-9IVXivx]+)*\\s*[-–.:)]?\\s*)?";
+
+const THEMATIC_SECTIONS = {
+  voirie: [
+    "implantation\\s+(?:des\\s+constructions\\s+)?par\\s+rapport\\s+aux\\s+voies",
+    "implantation\\s+(?:des\\s+constructions\\s+)?par\\s+rapport\\s+(?:à\\s+l['’]alignement|aux\\s+emprises\\s+publiques)",
+    "(?:reculs?|retraits?)\\s+par\\s+rapport\\s+aux\\s+voies",
+  ],
+  limites_separatives: [
+    "implantation\\s+(?:des\\s+constructions\\s+)?par\\s+rapport\\s+aux\\s+limites\\s+s[ée]paratives",
+    "(?:reculs?|retraits?)\\s+par\\s+rapport\\s+aux\\s+limites",
+  ],
+  emprise_sol: ["emprise\\s+au\\s+sol"],
+  espaces_verts: [
+    "traitement\\s+environnemental\\s+et\\s+paysager",
+    "espaces?\\s+libres(?:\\s+et\\s+plantations)?",
+    "espaces?\\s+verts",
+    "coefficient\\s+de\\s+biotope",
+    "plantations",
+  ],
+  hauteur: ["hauteur\\s+(?:maximale\\s+)?des\\s+constructions", "hauteurs?\\b"],
+  stationnement: ["(?:obligations\\s+(?:imposées\\s+)?en\\s+mati[èe]re\\s+de\\s+)?(?:r[ée]alisation\\s+d['’]aires\\s+de\\s+)?stationnement"],
+};
+
+// Parent section used when a topic has no dedicated heading
+const THEMATIC_PARENT_SECTION = "volum[ée]trie\\s+et\\s+implantation\\s+des\\s+constructions";
+
+// Legacy article number holding each ruleset topic
+const TOPIC_ARTICLES = {
+  voirie: "6",
+  limites_separatives: "7",
+  emprise_sol: "9",
+  espaces_verts: "13",
+  hauteur: "10",
+  stationnement: "12",
+};
+
+function countMatches(text, pattern) {
+  pattern.lastIndex = 0;
+  let count = 0;
+  while (pattern.exec(text) !== null) count++;
+  return count;
+}
+
+/**
+ * Detect whether a règlement uses legacy articles 1–16 or thematic chapters.
+ * Returns "LEGACY_ARTICLES" | "THEMATIC" | "UNKNOWN"
+ */
+function detectReglementStructure(text) {
+  const lower = text.toLowerCase();
+  const legacyScore = countMatches(lower, LEGACY_ARTICLE_HEADING);
+  const thematicScore = THEMATIC_MARKERS.reduce((sum, p) => sum + countMatches(lower, p), 0);
+
+  if (legacyScore >= 3 && legacyScore >= thematicScore) return "LEGACY_ARTICLES";
+  if (thematicScore >= 2) return "THEMATIC";
+  if (legacyScore > 0) return "LEGACY_ARTICLES";
+  return "UNKNOWN";
+}
+
+/**
+ * Returns { text, start } (start = offset in the full text) or null.
+ */
+function findThematicExcerpt(text, topic, zoneCode, windowSize = 5000) {
+  const node = findTopicNode(text, topic, zoneCode);
+  if (node) {
+    return { text: text.slice(node.char_start, Math.min(node.char_end, node.char_start + windowSize)), start: node.char_start };
+  }
+
+  const { start, end } = findZoneBounds(text, zoneCode);
+  const zoneText = text.slice(start, end);
+  const zoneLower = zoneText.toLowerCase();
+
+  const headingPatterns = (THEMATIC_SECTIONS[topic] || []).map(
+    (p) => new RegExp(`${HEADING_PREFIX}${p}`, "gim")
+  );
+  headingPatterns.push(new RegExp(`${HEADING_PREFIX}${THEMATIC_PARENT_SECTION}`, "gim"));
+
+  // Headings first (start of line), then any mention of the theme
+  for (const hp of headingPatterns) {
+    const match = hp.exec(zoneLower);
+    if (match) {
+      const sectionStart = match.index;
+      return {
+        text: zoneText.slice(sectionStart, Math.min(zoneText.length, sectionStart + windowSize)),
+        start: start + sectionStart,
+      };
+    }
+  }
+
+  for (const p of THEMATIC_SECTIONS[topic] || []) {
+    const match = new RegExp(p, "gi").exec(zoneLower);
+    if (match) {
+      const excerptStart = Math.max(0, match.index - 200);
+      return {
+        text: zoneText.slice(excerptStart, Math.min(zoneText.length, match.index + windowSize)),
+        start: start + excerptStart,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Excerpt for one ruleset topic, using the detected structure first and the
+ * other one as fallback (many PLU mix both styles after partial modifications).
+ */
+function findTopicExcerpt(text, topic, zoneCode, structure, windowSize) {
+  const byArticle = () => findArticleExcerpt(text, TOPIC_ARTICLES[topic], zoneCode, windowSize);
+  const byTheme = () => findThematicExcerpt(text, topic, zoneCode, windowSize);
+
+  if (structure === "THEMATIC") {
+    return byTheme() || byArticle();
+  }
+  return byArticle() || byTheme();
+}
+
+function buildZoneExcerpts(fullText, zoneCode, structure = detectReglementStructure(fullText)) {
+  const article6 = findTopicExcerpt(fullText, "voirie", zoneCode, structure, 4000);
+  const article7 = findTopicExcerpt(fullText, "limites_separatives", zoneCode, structure, 4000);
+  const article12 = findTopicExcerpt(fullText, "stationnement", zoneCode, structure, 4000);
+  const article10 = findTopicExcerpt(fullText, "hauteur", zoneCode, structure, 3000);
+  const article9 = findTopicExcerpt(fullText, "emprise_sol", zoneCode, structure, 3000);
+  const article13 = findTopicExcerpt(fullText, "espaces_verts", zoneCode, structure, 4000);
+
+  // Fallback: start of the zone's chapter
+  let fallback = null;
+  const bounds = findZoneBounds(fullText, zoneCode);
+  if (bounds.located) {
+    fallback = { text: fullText.slice(bounds.start, Math.min(bounds.end, bounds.start + 6000)), start: bounds.start };
+  }
+
+  const excerptText = (excerpt, maxLen) => (excerpt ? excerpt.text.slice(0, maxLen) : "");
+  const excerptStart = (excerpt) => (excerpt ? excerpt.start : null);
+
+  return {
+    zone_code: zoneCode,
+    structure,
+    extrait_article_6: excerptText(article6, 6000),
+    extrait_article_7: excerptText(article7, 6000),
+    extrait_article_10: excerptText(article10, 4000),
+    extrait_article_12: excerptText(article12, 6000),
+    extrait_article_9: excerptText(article9, 4000),
+    extrait_article_13: excerptText(article13, 5000),
+    fallback_context: excerptText(fallback, 4000),
+    // Offsets of each excerpt in the full normalised text, for provenance
+    excerpt_offsets: {
+      extrait_article_6: excerptStart(article6),
+      extrait_article_7: excerptStart(article7),
+      extrait_article_10: excerptStart(article10),
+      extrait_article_12: excerptStart(article12),
+      extrait_article_9: excerptStart(article9),
+      extrait_article_13: excerptStart(article13),
+      fallback_context: excerptStart(fallback),
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RÈGLEMENT TREE (TITRE → CHAPITRE / ZONE → SECTION → ARTICLE)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Headings are read line by line, outside the table of contents. Each node
+ * spans from its heading to the next heading of the same or a higher level:
+ *   { type, number, heading, zone_code, char_start, char_end, children }
+ * Table-of-contents entries are returned too, and used to recover headings the
+ * line classifier missed. Running page headers ("Zone UA", "Article UA 6
+ * (suite)") repeat the open node and are skipped.
+ */
+
+const TOC_TITLE = /^[ \t]*(?:sommaire|table\s+des\s+mati[èe]res)[ \t]*$/i;
+const TOC_LEADER_ENTRY = /^[ \t]*(.{3,160}?)[ \t]*(?:\.{3,}|…+|_{3,})[ \t.…_]*(\d{1,4})[ \t]*$/;
+// Without dot leaders, only inside a "Sommaire" block
+const TOC_BARE_ENTRY = /^[ \t]*(.{3,160}?)[ \t]+(\d{1,4})[ \t]*$/;
+
+const TITRE_HEADING = /^titre\s+([IVXL]+|\d+)(?![A-Za-z0-9])\s*[-–:.]?\s*(.*)$/i;
+const CHAPITRE_HEADING = /^chapitre\s+([IVXL]+|\d+)(?![A-Za-z0-9])\s*[-–:.]?\s*(.*)$/i;
+const SECTION_HEADING = /^(?:sous-)?section\s+([IVXL]+|\d+(?:\.\d+)*)(?![A-Za-z0-9])\s*[-–:.]?\s*(.*)$/i;
+const ARTICLE_PREFIX = /^(?:article|art\.?)\s*/i;
+// After the "Article" prefix: "UA 6 - Hauteur", "UA.6", "UA6 :", "6 – Hauteur", "6"
+const ARTICLE_REST = /^(?:(\d?[A-Z]{1,3}[a-z]{0,3})\s*[.\-]?\s*)?(\d{1,2}(?:[.\-]\d{1,2})?)(?!\d)\s*(?:[-–:.)]\s*(.*)|\s+([A-ZÀ-Ÿ].*))?$/;
+// Without the prefix: "UA.6 - Hauteur", "UA.6", "UA 6 – Hauteur" (kept only inside zone UA)
+const DOTTED_ARTICLE_HEADING = /^(\d?[A-Z]{1,3}[a-z]{0,3})\s*\.\s*(\d{1,2}(?:\.\d{1,2})?)(?![\d.])\s*(?:[-–:)]\s*(.*)|\s+([A-ZÀ-Ÿ].*))?$/;
+const SPACED_ARTICLE_HEADING = /^(\d?[A-Z]{1,3}[a-z]{0,3})\s+(\d{1,2})(?!\d)\s*[-–:]\s*(\S.*)$/;
+// "2.1 –", "II.3)", "§ 4"
+const NUMBERED_PREFIX = /^(?:(?:paragraphe|§)\s*)?([0-9IVX]+(?:[.\-][0-9IVX]+)*)\s*[-–.:)]\s*/;
+
+const THEMATIC_MARKER_LINES = THEMATIC_MARKERS.map((p) => new RegExp(`^${p.source}`, "i"));
+const THEMATIC_TOPIC_LINES = Object.values(THEMATIC_SECTIONS)
+  .flat()
+  .map((p) => new RegExp(`^${p}`, "i"));
+
+const TREE_LEVELS = { TITRE: 1, ZONE: 2, CHAPITRE: 2, SECTION: 3, ARTICLE: 5 };
+
+function headingText(raw) {
+  return cleanNote(raw, 160);
+}
+
+function zoneHeadingOnLine(line) {
+  for (const pattern of ZONE_HEADING_PATTERNS) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(line);
+    if (match && isZoneCode(match[1])) return match;
+  }
+  return null;
+}
+
+/**
+ * Classify one line as a heading: { type, number, zone_code, heading } or null.
+ */
+function classifyHeadingLine(rawLine) {
+  const line = rawLine.trim();
+  if (line.length < 3 || line.length > 160) return null;
+
+  const zoneMatch = zoneHeadingOnLine(line);
+  if (zoneMatch) {
+    const numbered = TITRE_HEADING.exec(line) || CHAPITRE_HEADING.exec(line);
+    return { type: "ZONE", number: numbered ? numbered[1] : null, zone_code: zoneMatch[1], heading: headingText(line) };
+  }
+
+  for (const [type, pattern] of [["TITRE", TITRE_HEADING], ["CHAPITRE", CHAPITRE_HEADING], ["SECTION", SECTION_HEADING]]) {
+    const match = pattern.exec(line);
+    if (match) return { type, number: match[1].toUpperCase(), zone_code: null, heading: headingText(line) };
+  }
+
+  if (ARTICLE_PREFIX.test(line)) {
+    const match = ARTICLE_REST.exec(line.replace(ARTICLE_PREFIX, ""));
+    if (match && (!match[1] || isZoneCode(match[1]))) {
+      return { type: "ARTICLE", number: match[2].replace("-", "."), zone_code: match[1] || null, heading: headingText(line) };
+    }
+    return null;
+  }
+
+  const bare = DOTTED_ARTICLE_HEADING.exec(line) || SPACED_ARTICLE_HEADING.exec(line);
+  if (bare && isZoneCode(bare[1])) {
+    return { type: "ARTICLE", number: bare[2], zone_code: bare[1], heading: headingText(line), bare: true };
+  }
+
+  // Thematic règlements: numbered or upper-case theme headings
+  const numbered = NUMBERED_PREFIX.exec(line);
+  const title = numbered ? line.slice(numbered[0].length) : line;
+  const isUpperCase = title === title.toUpperCase() && /[A-Z]/.test(title);
+  if (THEMATIC_MARKER_LINES.some((p) => p.test(title))) {
+    return { type: "SECTION", number: numbered ? numbered[1] : null, zone_code: null, heading: headingText(line) };
+  }
+  if ((numbered || isUpperCase) && title.length <= 120 && THEMATIC_TOPIC_LINES.some((p) => p.test(title))) {
+    return { type: "ARTICLE", number: numbered ? numbered[1] : null, zone_code: null, heading: headingText(line) };
+  }
+  return null;
+}
+
+function textLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ line, start: offset });
+    offset += line.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Table of contents: entries with dot leaders anywhere, bare "title  12"
+ * entries inside a "Sommaire" block. Returns { entries, lineStarts }.
+ */
+function parseTableOfContents(lines) {
+  const entries = [];
+  const lineStarts = new Set();
+  let inBlock = false;
+  let misses = 0;
+
+  for (const { line, start } of lines) {
+    if (TOC_TITLE.test(line)) {
+      inBlock = true;
+      misses = 0;
+      lineStarts.add(start);
+      continue;
+    }
+    const match = TOC_LEADER_ENTRY.exec(line) || (inBlock ? TOC_BARE_ENTRY.exec(line) : null);
+    if (match) {
+      const heading = headingText(match[1]);
+      const classified = classifyHeadingLine(match[1]);
+      entries.push({
+        heading,
+        page: Number(match[2]),
+        type: classified?.type ?? null,
+        number: classified?.number ?? null,
+        zone_code: classified?.zone_code ?? null,
+        char_start: start,
+        found_in_body: false,
+      });
+      lineStarts.add(start);
+      misses = 0;
+    } else if (inBlock && line.trim() && ++misses >= 3) {
+      inBlock = false;
+    }
+  }
+  return { entries, lineStarts };
+}
+
+function sameHeading(a, b) {
+  return a.type === b.type && a.number === b.number && (a.zone_code ?? null) === (b.zone_code ?? null);
+}
+
+/**
+ * Body heading announced by a TOC entry that the classifier did not see on a
+ * line of its own (heading wrapped, numbering split from the title…).
+ */
+function locateTocEntry(text, entry, afterIndex) {
+  const words = entry.heading.split(/\s+/).slice(0, 8).map(escapeRegExp);
+  if (words.length < 2) return null;
+  const pattern = new RegExp(`^[ \\t]*${words.join("\\s+")}`, "gim");
+  pattern.lastIndex = afterIndex;
+  const match = pattern.exec(text);
+  return match ? match.index + (match[0].length - match[0].trimStart().length) : null;
+}
+
+/**
+ * Heading tree of the règlement: { toc, nodes }. Node ranges are offsets in
+ * the full text; page ranges are added by attachPageRanges.
+ */
+function buildReglementTree(text) {
+  const analysis = textAnalysis(text);
+  if (analysis.tree) return analysis.tree;
+
+  const lines = textLines(text);
+  const { entries: toc, lineStarts: tocLines } = parseTableOfContents(lines);
+  const tocEnd = toc.length ? Math.max(...toc.map((e) => e.char_start)) : 0;
+
+  const headings = [];
+  for (const { line, start } of lines) {
+    if (tocLines.has(start)) continue;
+    const heading = classifyHeadingLine(line);
+    if (heading) headings.push({ ...heading, index: start + (line.length - line.trimStart().length) });
+  }
+
+  for (const entry of toc) {
+    if (!entry.type) continue;
+    if (headings.some((h) => sameHeading(h, entry))) {
+      entry.found_in_body = true;
+      continue;
+    }
+    const index = locateTocEntry(text, entry, tocEnd);
+    if (index !== null && !headings.some((h) => h.index === index)) {
+      headings.push({ type: entry.type, number: entry.number, zone_code: entry.zone_code, heading: entry.heading, index });
+      entry.found_in_body = true;
+    }
+  }
+  headings.sort((a, b) => a.index - b.index);
+
+  const nodes = [];
+  const stack = [];
+  const close = (node, end) => {
+    node.char_end = end;
+  };
+
+  for (const h of headings) {
+    const openZone = [...stack].reverse().find((n) => n.type === "ZONE");
+    const top = stack[stack.length - 1];
+
+    // "UA.6" without "Article" is only an article heading inside zone UA
+    if (h.bare && openZone?.zone_code !== h.zone_code && openZone?.zone_code !== parentZoneCode(h.zone_code)) continue;
+    // Running headers repeat the open zone / article
+    if (h.type === "ZONE" && openZone?.zone_code === h.zone_code) continue;
+    if (h.type === "TITRE" && stack.some((n) => n.type === "TITRE" && n.number === h.number)) continue;
+    if (h.type === "ARTICLE" && top?.type === "ARTICLE" && top.number === h.number && (h.zone_code ?? top.zone_code) === top.zone_code) continue;
+
+    let level = TREE_LEVELS[h.type];
+    if (h.type === "CHAPITRE" && openZone) level = 3;
+    if (h.type === "SECTION" && stack.some((n) => n.type === "CHAPITRE" && n.level === 3)) level = 4;
+
+    while (stack.length && stack[stack.length - 1].level >= level) close(stack.pop(), h.index);
+
+    const parentZone = [...stack].reverse().find((n) => n.type === "ZONE");
+    const node = {
+      type: h.type,
+      level,
+      number: h.number,
+      heading: h.heading,
+      zone_code: h.zone_code ?? (h.type === "TITRE" ? null : parentZone?.zone_code ?? null),
+      char_start: h.index,
+      char_end: text.length,
+      children: [],
+    };
+    (stack.length ? stack[stack.length - 1].children : nodes).push(node);
+    stack.push(node);
+  }
+  while (stack.length) close(stack.pop(), text.length);
+
+  const tree = { toc, nodes };
+  analysis.tree = tree;
+  return tree;
+}
+
+function walkTree(nodes, visit) {
+  for (const node of nodes) {
+    visit(node);
+    walkTree(node.children, visit);
+  }
+}
+
+
+// Page of an offset, offsets between two pages belonging to the previous one
+function pageAtOrBefore(pageIndex, offset) {
+  let found = pageIndex[0] || null;
+  for (const page of pageIndex) {
+    if (page.start > offset) break;
+    found = page;
+  }
+  return found;
+}
+
+/**
+ * Public view of the tree: page ranges added, internal level dropped.
+ */
+function attachPageRanges(nodes, pageIndex) {
+  return nodes.map((node) => {
+    const first = pageAtOrBefore(pageIndex, node.char_start);
+    const last = pageAtOrBefore(pageIndex, Math.max(node.char_start, node.char_end - 1));
+    return {
+      type: node.type,
+      number: node.number,
+      heading: node.heading,
+      zone_code: node.zone_code,
+      char_start: node.char_start,
+      char_end: node.char_end,
+      document_index: first ? first.document_index : null,
+      page_start: first ? first.page : null,
+      page_end: last ? last.page : null,
+      children: attachPageRanges(node.children, pageIndex),
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ZONE SEGMENTATION INDEX
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Built once per document from the règlement tree, so the table of contents
+ * and other zones' text are never taken for a zone's rules:
+ *   zone_code → { zone_code, start, end, heading, articles: [node], sections: [node] }
+ * A zone chapter runs on over its sectors' chapters ("ZONE UAa" right after
+ * "ZONE UA"). A zone without a chapter heading ("Article UA 6" only) spans
+ * from its first to its last article.
+ */
+
+function buildSegmentIndex(text) {
+  const analysis = textAnalysis(text);
+  if (analysis.segments) return analysis.segments;
+
+  const index = new Map();
+  const entryFor = (zoneCode) => {
+    if (!index.has(zoneCode)) {
+      index.set(zoneCode, { zone_code: zoneCode, start: null, end: null, heading: null, articles: [], sections: [] });
+    }
+    return index.get(zoneCode);
+  };
+
+  const zoneNodes = [];
+  walkTree(buildReglementTree(text).nodes, (node) => {
+    if (node.type === "ZONE") {
+      zoneNodes.push(node);
+    } else if (node.type === "ARTICLE" && node.zone_code) {
+      entryFor(node.zone_code).articles.push(node);
+    } else if ((node.type === "SECTION" || node.type === "CHAPITRE") && node.zone_code) {
+      entryFor(node.zone_code).sections.push(node);
+    }
+  });
+
+  zoneNodes.forEach((node, i) => {
+    let end = node.char_end;
+    for (const next of zoneNodes.slice(i + 1)) {
+      if (next.char_start > end || parentZoneCode(next.zone_code) !== node.zone_code) break;
+      end = Math.max(end, next.char_end);
+    }
+    // A repeated zone heading (cross-reference, annex) opens a shorter span
+    const entry = entryFor(node.zone_code);
+    if (entry.start === null || end - node.char_start > entry.end - entry.start) {
+      Object.assign(entry, { start: node.char_start, end, heading: node.heading });
+    }
+  });
+
+  for (const entry of index.values()) {
+    if (entry.start !== null || entry.articles.length === 0) continue;
+    entry.start = Math.min(...entry.articles.map((n) => n.char_start));
+    entry.end = Math.max(...entry.articles.map((n) => n.char_end));
+  }
+
+  analysis.segments = index;
+  return index;
+}
+
+function zoneSegment(text, zoneCode) {
+  const entry = buildSegmentIndex(text).get(zoneCode);
+  return entry && entry.start !== null ? entry : null;
+}
+
+/**
+ * Article node of a zone ("6" also matches "6.1" when the règlement splits it).
+ * The longest match wins, like zone chapters.
+ */
+function findArticleNode(text, articleNum, zoneCode) {
+  let best = null;
+  for (const node of zoneSegment(text, zoneCode)?.articles || []) {
+    if (!node.number) continue;
+    if (node.number !== articleNum && !node.number.startsWith(`${articleNum}.`)) continue;
+    const exact = node.number === articleNum;
+    const better =
+      !best || (exact && !best.exact) || (exact === best.exact && node.char_end - node.char_start > best.node.char_end - best.node.char_start);
+    if (better) best = { node, exact };
+  }
+  return best ? best.node : null;
+}
+
+/**
+ * Thematic heading of a zone naming the topic: the deepest one (article over
+ * section), else the "Volumétrie et implantation" section holding it.
+ */
+function findTopicNode(text, topic, zoneCode) {
+  const segment = zoneSegment(text, zoneCode);
+  if (!segment) return null;
+  const patterns = (THEMATIC_SECTIONS[topic] || []).map((p) => new RegExp(p, "i"));
+  const named = (node) => node.heading && patterns.some((p) => p.test(node.heading));
+
+  return (
+    segment.articles.find(named) ||
+    segment.sections.find(named) ||
+    segment.sections.find((node) => node.heading && new RegExp(THEMATIC_PARENT_SECTION, "i").test(node.heading)) ||
+    null
+  );
+}
+
+// Public view of the index, for /api/plu-structure
+function describeSegments(text, pageIndex) {
+  const pages = (start, end) => {
+    const first = pageAtOrBefore(pageIndex, start);
+    const last = pageAtOrBefore(pageIndex, Math.max(start, end - 1));
+    return { document_index: first ? first.document_index : null, page_start: first ? first.page : null, page_end: last ? last.page : null };
+  };
+  return [...buildSegmentIndex(text).values()]
+    .filter((entry) => entry.start !== null)
+    .sort((a, b) => a.start - b.start)
+    .map((entry) => ({
+      zone_code: entry.zone_code,
+      heading: entry.heading,
+      char_start: entry.start,
+      char_end: entry.end,
+      ...pages(entry.start, entry.end),
+      articles: entry.articles.map((node) => ({
+        number: node.number,
+        heading: node.heading,
+        char_start: node.char_start,
+        char_end: node.char_end,
+        ...pages(node.char_start, node.char_end),
+      })),
+    }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SUB-SECTORS (UAa, 1AUh, Nzh…)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * A sector has no chapter of its own: its rules are the parent zone's, except
+ * where the parent's articles say otherwise ("dans le secteur UAa, la hauteur
+ * est portée à 15 m"). The sector ruleset is the parent ruleset with those
+ * clauses extracted on top of it.
+ */
+
+/**
+ * Parent zone of a sector code, or null when the code is a zone of its own
+ * (e.g. 1AUh in a PLU that has no 1AU chapter).
+ */
+function resolveParentZone(zoneCode, discoveredCodes, fullText) {
+  const parent = parentZoneCode(zoneCode);
+  if (!parent) return null;
+  if (discoveredCodes.includes(parent)) return parent;
+  return new RegExp(`zone\\s+${escapeRegExp(parent)}(?![A-Za-z0-9])`, "i").test(fullText) ? parent : null;
+}
+
+/**
+ * Clauses of an excerpt that name the sector. In "12 m, sauf dans le secteur
+ * UAa où elle est portée à 15 m" only the part after the comma applies.
+ */
+function sectorClauses(text, sectorCode) {
+  const mention = new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(sectorCode)}(?![A-Za-z0-9])`);
+  const sentences = splitSentences(text);
+  const clauses = [];
+
+  sentences.forEach((sentence, i) => {
+    const match = mention.exec(sentence);
+    if (!match) return;
+    const clauseStart = Math.max(sentence.lastIndexOf(",", match.index), sentence.lastIndexOf(";", match.index)) + 1;
+    let clause = sentence.slice(clauseStart).trim();
+    // "… où elle est portée à 15 m": put the subject of the cut-off clause back
+    const subject = clauseStart > 0 ? /^(.{3,60}?)\s+(?:est|sont|doit|doivent|ne)\s/i.exec(sentence)?.[1] : null;
+    if (subject) {
+      clause = clause.replace(/\b(?:elle|il|elles|ils|celle-ci|celui-ci)\s+(?=(?:est|sont|doit|doivent|ne)\s)/i, `${subject.charAt(0).toLowerCase()}${subject.slice(1)} `);
+    }
+    // "Dans le secteur UAa, les règles suivantes s'appliquent :" introduces the next sentence
+    if (clause.endsWith(":") && sentences[i + 1]) {
+      clause = `${clause} ${sentences[i + 1]}`;
+    }
+    clauses.push(clause);
+  });
+
+  return [...new Set(clauses)];
+}
+
+/**
+ * Excerpts for the sector override extraction: same keys as buildZoneExcerpts,
+ * reduced to the clauses that name the sector. Offsets are null since the
+ * clauses are not contiguous; provenance is resolved on the parent excerpts.
+ */
+function buildSectorExcerpts(parentExcerpts, sectorCode) {
+  const excerpts = {
+    zone_code: sectorCode,
+    parent_zone_code: parentExcerpts.zone_code,
+    structure: parentExcerpts.structure,
+    excerpt_offsets: {},
+  };
+  for (const key of Object.keys(parentExcerpts.excerpt_offsets)) {
+    // Article windows overlap their neighbours: a clause must come from its own article
+    const articleNum = /^extrait_article_(\d+)$/.exec(key)?.[1];
+    const text = articleNum && parentExcerpts.structure !== "THEMATIC"
+      ? isolateArticleBody(parentExcerpts[key], articleNum)
+      : parentExcerpts[key];
+    excerpts[key] = sectorClauses(linearizeTables(text, sectorCode), sectorCode).join("\n\n");
+    excerpts.excerpt_offsets[key] = null;
+  }
+  return excerpts;
+}
+
+const SECTOR_SECTIONS = [
+  "reculs.voirie",
+  "reculs.limites_separatives",
+  "reculs.fond_parcelle",
+  "reculs.implantation_en_limite",
+  "stationnement",
+  "hauteur",
+  "emprise_sol",
+  "espaces_verts",
+];
+
+// Computed from other fields: follow them instead of being overridden on their own
+const SECTOR_DERIVED_FIELDS = {
+  hauteur_max_m: ["hauteur_max_source"],
+};
+const SECTOR_SKIPPED_FIELDS = new Set(["note", "provenance", "plafonds_legaux", "hauteur_max_source", "hauteur_niveaux_m", "hauteur_etage_m"]);
+
+function hasSectorValue(value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") {
+    return Object.entries(value).some(([key, v]) => key !== "note" && key !== "label" && hasSectorValue(v));
+  }
+  return true;
+}
+
+/**
+ * Parent ruleset + the values the sector clauses define. overridden_fields
+ * lists the replaced paths; every other field is inherited.
+ */
+function applySectorOverrides(parentRuleset, override) {
+  const ruleset = structuredClone(parentRuleset);
+  ruleset.zone_code = override.zone_code;
+  ruleset.zone_libelle = override.zone_libelle || parentRuleset.zone_libelle;
+  ruleset.parent_zone_code = parentRuleset.zone_code;
+
+  const overridden = [];
+  for (const path of SECTOR_SECTIONS) {
+    const source = getPath(override, path);
+    const target = getPath(ruleset, path);
+    if (!source || !target) continue;
+
+    let sectionOverridden = false;
+    for (const [field, value] of Object.entries(source)) {
+      if (SECTOR_SKIPPED_FIELDS.has(field) || !hasSectorValue(value)) continue;
+      for (const key of [field, ...(SECTOR_DERIVED_FIELDS[field] || [])]) {
+        target[key] = source[key];
+      }
+      if (target.provenance && field in target.provenance) {
+        target.provenance[field] = source.provenance?.[field] ?? null;
+      }
+      overridden.push(`${path}.${field}`);
+      sectionOverridden = true;
+    }
+    // The parent note describes values that no longer apply
+    if (sectionOverridden) target.note = source.note;
+  }
+
+  ruleset.articles_source = [...new Set([...parentRuleset.articles_source, ...override.articles_source])];
+  if (override.field_errors) {
+    ruleset.field_errors = [...(ruleset.field_errors || []), ...override.field_errors];
+  }
+  if (ruleset.confidence && override.confidence) {
+    for (const [path, entry] of Object.entries(override.confidence)) {
+      if (overridden.some((field) => path === field || path.startsWith(`${field}.`))) {
+        ruleset.confidence[path] = entry;
+      }
+    }
+  }
+  if (ruleset.field_origins) {
+    for (const field of overridden) ruleset.field_origins[field] = "ZONE";
+  }
+  ruleset.overridden_fields = overridden;
+  return ruleset;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DISPOSITIONS GÉNÉRALES (TITRE I)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Titre I of most règlements holds rules for every zone: general setbacks,
+ * parking dimensions, how heights are measured… They are extracted once per
+ * document, like a zone, and fill the fields a zone leaves null. field_origins
+ * tells, for each field with a value, where it came from:
+ *   "ZONE" | "DISPOSITIONS_GENERALES"
+ */
+
+const GENERAL_PROVISIONS_CODE = "DISPOSITIONS_GENERALES";
+const GENERAL_PROVISIONS_HEADING =
+  /dispositions\s+(?:g[ée]n[ée]rales|communes|applicables\s+[àa]\s+(?:toutes\s+les|l['’]ensemble\s+des)\s+zones)|r[èe]gles\s+communes/i;
+
+/**
+ * Span of the general provisions: { start, end, heading } or null. Taken from
+ * the règlement tree so that the table of contents is never matched.
+ */
+function findGeneralProvisions(text) {
+  let found = null;
+  walkTree(buildReglementTree(text).nodes, (node) => {
+    if (found || node.type === "ZONE" || node.type === "ARTICLE") return;
+    if (node.heading && GENERAL_PROVISIONS_HEADING.test(node.heading)) {
+      found = { start: node.char_start, end: node.char_end, heading: node.heading, node };
+    }
+  });
+  return found;
+}
+
+function generalTopicExcerpt(text, provisions, topic, windowSize) {
+  const patterns = (THEMATIC_SECTIONS[topic] || []).map((p) => new RegExp(p, "i"));
+
+  // An article or section of Titre I whose heading names the topic
+  let node = null;
+  walkTree(provisions.node.children, (n) => {
+    if (!node && n.heading && patterns.some((p) => p.test(n.heading))) node = n;
+  });
+  if (node) {
+    return { text: text.slice(node.char_start, Math.min(node.char_end, node.char_start + windowSize)), start: node.char_start };
+  }
+
+  // Otherwise the paragraph that first mentions it
+  const body = text.slice(provisions.start, provisions.end);
+  for (const pattern of patterns) {
+    const match = pattern.exec(body);
+    if (!match) continue;
+    const lineStart = body.lastIndexOf("\n", match.index) + 1;
+    const start = provisions.start + lineStart;
+    return { text: text.slice(start, Math.min(provisions.end, start + windowSize)), start };
+  }
+  return null;
+}
+
+/**
+ * Same shape as buildZoneExcerpts, read inside the general provisions.
+ */
+function buildGeneralExcerpts(fullText, provisions) {
+  const excerpts = { zone_code: GENERAL_PROVISIONS_CODE, structure: "THEMATIC", excerpt_offsets: {} };
+  for (const [topic, articleNum] of Object.entries(TOPIC_ARTICLES)) {
+    const key = `extrait_article_${articleNum}`;
+    const excerpt = generalTopicExcerpt(fullText, provisions, topic, 4000);
+    excerpts[key] = excerpt ? excerpt.text : "";
+    excerpts.excerpt_offsets[key] = excerpt ? excerpt.start : null;
+  }
+  excerpts.fallback_context = "";
+  excerpts.excerpt_offsets.fallback_context = null;
+  return excerpts;
+}
+
+/**
+ * Zone ruleset completed with the general provisions: a field keeps the zone's
+ * value whenever it has one. Adds field_origins.
+ */
+function applyGeneralProvisions(zoneRuleset, generalRuleset) {
+  const ruleset = structuredClone(zoneRuleset);
+  const origins = {};
+
+  for (const path of SECTOR_SECTIONS) {
+    const target = getPath(ruleset, path);
+    if (!target) continue;
+    const source = generalRuleset ? getPath(generalRuleset, path) : null;
+
+    let filled = false;
+    for (const field of new Set([...Object.keys(target), ...Object.keys(source || {})])) {
+      if (SECTOR_SKIPPED_FIELDS.has(field)) continue;
+      if (hasSectorValue(target[field])) {
+        origins[`${path}.${field}`] = "ZONE";
+        continue;
+      }
+      if (!source || !hasSectorValue(source[field])) continue;
+      for (const key of [field, ...(SECTOR_DERIVED_FIELDS[field] || [])]) {
+        target[key] = structuredClone(source[key]);
+      }
+      if (target.provenance && source.provenance && field in source.provenance) {
+        target.provenance[field] = source.provenance[field];
+      }
+      origins[`${path}.${field}`] = GENERAL_PROVISIONS_CODE;
+      filled = true;
+    }
+    if (filled && !target.note) target.note = source.note ?? null;
+  }
+
+  if (generalRuleset && Object.values(origins).includes(GENERAL_PROVISIONS_CODE)) {
+    ruleset.articles_source = [...new Set([...(ruleset.articles_source || []), ...(generalRuleset.articles_source || [])])];
+  }
+  ruleset.field_origins = origins;
+  return ruleset;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RULESET SCHEMA (LLM OUTPUT CONTRACT)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * JSON Schema (draft-07 subset: type, enum, properties, required, items) of
+ * the ruleset the LLM must return, before post-processing. Responses are
+ * validated against it; the errors are sent back for a bounded number of
+ * repair rounds (PLU_LLM_REPAIR_ATTEMPTS), then the fields still invalid are
+ * set to null (array items dropped) and reported as FIELD_INVALID warnings.
+ */
+
+const LLM_REPAIR_ATTEMPTS = Number(process.env.PLU_LLM_REPAIR_ATTEMPTS ?? 1);
+
+const NULLABLE_NUMBER = { type: ["number", "null"] };
+const NULLABLE_STRING = { type: ["string", "null"] };
+const NULLABLE_BOOLEAN = { type: ["boolean", "null"] };
+
+const PLANTATION_UNITS = ["M2_TERRAIN", "M2_ESPACES_LIBRES", "PLACES_STATIONNEMENT", "LOGEMENTS"];
+
+const RECUL_SCHEMA = {
+  type: "object",
+  required: ["regle", "min_m", "note"],
+  properties: {
+    regle: { enum: ["FIXED", "H_OVER_2", "H_OVER_2_MIN", null] },
+    min_m: NULLABLE_NUMBER,
+    note: NULLABLE_STRING,
+  },
+};
+
+const RULESET_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "PLU zone ruleset (LLM extraction)",
+  type: "object",
+  required: ["zone_code", "reculs", "stationnement", "hauteur", "emprise_sol", "espaces_verts", "articles_source"],
+  properties: {
+    zone_code: NULLABLE_STRING,
+    zone_libelle: NULLABLE_STRING,
+    reculs: {
+      type: "object",
+      required: ["voirie", "limites_separatives", "fond_parcelle", "implantation_en_limite"],
+      properties: {
+        voirie: RECUL_SCHEMA,
+        limites_separatives: RECUL_SCHEMA,
+        fond_parcelle: RECUL_SCHEMA,
+        implantation_en_limite: {
+          type: "object",
+          required: ["autorisee", "note"],
+          properties: { autorisee: NULLABLE_BOOLEAN, note: NULLABLE_STRING },
+        },
+      },
+    },
+    stationnement: {
+      type: "object",
+      required: ["places_par_logement", "surface_par_place_m2", "places_par_100m2", "note"],
+      properties: {
+        places_par_logement: NULLABLE_NUMBER,
+        surface_par_place_m2: NULLABLE_NUMBER,
+        places_par_100m2: NULLABLE_NUMBER,
+        destinations: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["destination"],
+            properties: {
+              destination: { enum: PARKING_DESTINATION_CODES },
+              places_par_logement: NULLABLE_NUMBER,
+              places_par_100m2: NULLABLE_NUMBER,
+              places_par_chambre: NULLABLE_NUMBER,
+              note: NULLABLE_STRING,
+            },
+          },
+        },
+        velo: {
+          type: ["object", "null"],
+          properties: {
+            surface_par_logement_m2: NULLABLE_NUMBER,
+            surface_par_100m2_m2: NULLABLE_NUMBER,
+            pourcentage_surface_plancher: NULLABLE_NUMBER,
+            note: NULLABLE_STRING,
+          },
+        },
+        reductions_transport: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              destination: NULLABLE_STRING,
+              rayon_m: NULLABLE_NUMBER,
+              places_max_par_logement: NULLABLE_NUMBER,
+              taux_reduction: NULLABLE_NUMBER,
+              note: NULLABLE_STRING,
+            },
+          },
+        },
+        note: NULLABLE_STRING,
+      },
+    },
+    hauteur: {
+      type: "object",
+      required: ["hauteur_max_m", "note"],
+      properties: {
+        hauteur_max_m: NULLABLE_NUMBER,
+        hauteur_egout_m: NULLABLE_NUMBER,
+        hauteur_acrotere_m: NULLABLE_NUMBER,
+        hauteur_faitage_m: NULLABLE_NUMBER,
+        niveaux_max: NULLABLE_STRING,
+        hauteur_relative: {
+          type: ["object", "null"],
+          properties: {
+            regle: { enum: ["LARGEUR_VOIE", "VOISIN", null] },
+            marge_m: NULLABLE_NUMBER,
+            note: NULLABLE_STRING,
+          },
+        },
+        note: NULLABLE_STRING,
+      },
+    },
+    emprise_sol: {
+      type: "object",
+      required: ["emprise_sol_max", "note"],
+      properties: { emprise_sol_max: NULLABLE_NUMBER, note: NULLABLE_STRING },
+    },
+    espaces_verts: {
+      type: "object",
+      required: ["espaces_verts_min", "pleine_terre_min", "note"],
+      properties: {
+        espaces_verts_min: NULLABLE_NUMBER,
+        pleine_terre_min: NULLABLE_NUMBER,
+        coefficient_biotope: {
+          type: ["object", "null"],
+          properties: {
+            cbs_min: NULLABLE_NUMBER,
+            ponderations: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["type", "coefficient"],
+                properties: { type: { type: "string" }, coefficient: { type: "number" } },
+              },
+            },
+          },
+        },
+        plantations: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["arbres", "pour", "unite"],
+            properties: {
+              arbres: { type: "number" },
+              pour: { type: "number" },
+              unite: { enum: PLANTATION_UNITS },
+            },
+          },
+        },
+        note: NULLABLE_STRING,
+      },
+    },
+    articles_source: { type: "array", items: { type: "string" } },
+  },
+};
+
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function childPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Schema errors of a value: [{ field, error, value }] (field = dotted path).
+ */
+function validateSchema(value, schema, path = "", errors = []) {
+  if (value === undefined) {
+    errors.push({ field: path, error: "is required", value: null });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: path, error: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`, value });
+    return errors;
+  }
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.includes(jsonType(value))) {
+    errors.push({ field: path, error: `must be ${types.join(" or ")}, got ${jsonType(value)}`, value });
+    return errors;
+  }
+
+  if (jsonType(value) === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ field: childPath(path, key), error: "is required", value: null });
+    }
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (key in value) validateSchema(value[key], sub, childPath(path, key), errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+  return errors;
+}
+
+function allowsNull(schema) {
+  return (schema.enum && schema.enum.includes(null)) || [].concat(schema.type || []).includes("null");
+}
+
+/**
+ * Closest value that satisfies the schema: invalid nullable fields become
+ * null, invalid array items are dropped, missing objects and arrays are
+ * rebuilt empty. undefined when nothing valid can stand in.
+ */
+function conformToSchema(value, schema) {
+  if (value !== undefined && validateSchema(value, schema).length === 0) return value;
+
+  const types = [].concat(schema.type || []);
+  if (types.includes("object") && jsonType(value) === "object") {
+    const result = { ...value };
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (!(key in value) && !(schema.required || []).includes(key)) continue;
+      const conformed = conformToSchema(value[key], sub);
+      if (conformed === undefined) return allowsNull(schema) ? null : undefined;
+      result[key] = conformed;
+    }
+    return result;
+  }
+  if (types.includes("array") && Array.isArray(value)) {
+    return value.map((item) => conformToSchema(item, schema.items || {})).filter((item) => item !== undefined);
+  }
+  if (allowsNull(schema)) return null;
+  if (types.includes("object")) return conformToSchema({}, schema);
+  if (types.includes("array")) return [];
+  return undefined;
+}
+
+function describeSchemaErrors(errors) {
+  return errors
+    .map((e) => `- ${e.field || "(racine)"}: ${e.error}${e.value !== null && e.value !== undefined ? ` (reçu ${JSON.stringify(e.value).slice(0, 80)})` : ""}`)
+    .join("\n");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LLM ZONE EXTRACTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function extractZoneRulesLLM(openaiClient, zoneCode, zoneLibelle, excerpts, model = DEFAULT_OPENAI_MODEL, usage = null) {
+  const systemPrompt = `Tu es un extracteur de règles PLU pour UNE SEULE zone.
+Renvoie UNIQUEMENT un JSON valide avec ce format EXACT:
+
+{
+  "zone_code": "${zoneCode}",
+  "zone_libelle": string|null,
+  "reculs": {
+    "voirie": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
+    "limites_separatives": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
+    "fond_parcelle": { "regle": "FIXED"|"H_OVER_2"|"H_OVER_2_MIN"|null, "min_m": number|null, "note": string|null },
+    "implantation_en_limite": { "autorisee": boolean|null, "note": string|null }
+  },
+  "stationnement": {
+    "places_par_logement": number|null,
+    "surface_par_place_m2": number|null,
+    "places_par_100m2": number|null,
+    "destinations": [{ "destination": ${PARKING_DESTINATION_CODES.map((code) => `"${code}"`).join("|")}, "places_par_logement": number|null, "places_par_100m2": number|null, "places_par_chambre": number|null, "note": string|null }],
+    "velo": { "surface_par_logement_m2": number|null, "surface_par_100m2_m2": number|null, "pourcentage_surface_plancher": number|null, "note": string|null },
+    "reductions_transport": [{ "destination": string|null, "rayon_m": number|null, "places_max_par_logement": number|null, "taux_reduction": number|null, "note": string|null }],
+    "note": string|null
+  },
+  "hauteur": {
+    "hauteur_max_m": number|null,
+    "hauteur_egout_m": number|null,
+    "hauteur_acrotere_m": number|null,
+    "hauteur_faitage_m": number|null,
+    "niveaux_max": string|null,
+    "hauteur_relative": { "regle": "LARGEUR_VOIE"|"VOISIN"|null, "marge_m": number|null, "note": string|null },
+    "note": string|null
+  },
+  "emprise_sol": { "emprise_sol_max": number|null, "note": string|null },
+  "espaces_verts": {
+    "espaces_verts_min": number|null,
+    "pleine_terre_min": number|null,
+    "coefficient_biotope": { "cbs_min": number|null, "ponderations": [{ "type": string, "coefficient": number }] }|null,
+    "plantations": [{ "arbres": number, "pour": number, "unite": "M2_TERRAIN"|"M2_ESPACES_LIBRES"|"PLACES_STATIONNEMENT"|"LOGEMENTS" }],
+    "note": string|null
+  },
+  "articles_source": string[]
+}
+
+RÈGLES STRICTES:
+- regle: "FIXED" si distance fixe, "H_OVER_2" si H/2, "H_OVER_2_MIN" si H/2 avec minimum
+- min_m: distance en mètres (nombre), pas de texte
+- emprise_sol_max: décimal (0.6 = 60%)
+- espaces_verts_min / pleine_terre_min: part minimale du terrain en décimal (0.3 = 30%)
+- coefficient_biotope: CBS minimum en décimal et pondérations par type de surface (pleine terre 1, toiture végétalisée 0.7…)
+- plantations: ex. "1 arbre pour 100 m²" → {"arbres": 1, "pour": 100, "unite": "M2_TERRAIN"}, "1 arbre pour 4 places" → {"arbres": 1, "pour": 4, "unite": "PLACES_STATIONNEMENT"}
+- destinations: une entrée par destination ayant sa propre règle (logement, logement social, bureaux, commerce, hébergement hôtelier, équipements…); "1 place pour 40 m²" → places_par_100m2: 2.5, "1 place pour 3 chambres" → places_par_chambre: 0.33
+- places_par_logement / surface_par_place_m2 / places_par_100m2: règle générale (logement si plusieurs destinations)
+- velo: stationnement des vélos; pourcentage_surface_plancher en décimal (0.015 = 1,5 %)
+- reductions_transport: réductions ou plafonds à proximité d'une gare / d'un transport en commun (rayon_m = distance, taux_reduction décimal)
+- hauteur_egout_m / hauteur_acrotere_m / hauteur_faitage_m: hauteurs maximales mesurées à l'égout du toit, à l'acrotère, au faîtage
+- hauteur_max_m: hauteur maximale absolue tous points confondus (souvent le faîtage), null si seules des hauteurs relatives existent
+- niveaux_max: gabarit en niveaux au format "R+2", "R+2+C" (combles), "R+3+A" (attique)
+- hauteur_relative: "LARGEUR_VOIE" si H ≤ L (largeur de la voie, marge_m si H ≤ L + n), "VOISIN" si référence à la hauteur des constructions voisines
+- Si information absente: mettre null, JAMAIS "Non spécifié" ou chaîne vide
+- note: phrase source courte (max 150 chars), sinon null
+- articles_source: ["Article 6", "Article 7", etc.] si identifiables, ou les intitulés de sections pour un règlement thématique
+- Les tableaux sont reproduits en markdown (| … |): lire chaque valeur dans la ligne ou la colonne de la zone, du secteur ou de la destination concernés
+- Les règles propres à un secteur (ex: "dans le secteur UAa") ne concernent que ce secteur: les ignorer sauf si la zone demandée est ce secteur`;
+
+  const thematic = excerpts.structure === "THEMATIC";
+  const label = (num, theme) => (thematic ? `SECTION ${theme.toUpperCase()} (équivalent article ${num})` : `ARTICLE ${num} (${theme})`);
+
+  const sectorHint = excerpts.parent_zone_code
+    ? `Secteur de la zone ${excerpts.parent_zone_code}: les extraits ne contiennent que les dispositions propres au secteur ${zoneCode}. Toute valeur non fixée spécifiquement pour ce secteur doit rester null.\n`
+    : "";
+
+  const userPrompt = `Zone: ${zoneCode}${zoneLibelle ? ` (${zoneLibelle})` : ""}
+${sectorHint}${thematic ? "Règlement organisé par thèmes (structure post-2016), sans articles numérotés 1 à 16.\n" : ""}
+${label(6, "implantation/voirie")}:
+${excerpts.extrait_article_6 || "(non trouvé)"}
+
+${label(7, "limites séparatives")}:
+${excerpts.extrait_article_7 || "(non trouvé)"}
+
+${label(9, "emprise au sol")}:
+${excerpts.extrait_article_9 || "(non trouvé)"}
+
+${label(10, "hauteur")}:
+${excerpts.extrait_article_10 || "(non trouvé)"}
+
+${label(12, "stationnement")}:
+${excerpts.extrait_article_12 || "(non trouvé)"}
+
+${label(13, "espaces verts, plantations")}:
+${excerpts.extrait_article_13 || "(non trouvé)"}
+
+CONTEXTE SUPPLÉMENTAIRE:
+${excerpts.fallback_context || "(aucun)"}`;
+
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userPrompt.slice(0, 28000) },
+  ];
+
+  let parsed;
+  let errors = [];
+  for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+    const completion = await openaiClient.chat.completions.create({
+      model,
+      messages,
+      response_format: { type: "json_object" },
+      temperature: 0,
+      max_tokens: 2000,
+    });
+    addLLMUsage(usage, completion);
+
+    const raw = completion.choices[0]?.message?.content ?? "";
+    try {
+      parsed = JSON.parse(raw);
+      errors = validateSchema(parsed, RULESET_SCHEMA);
+    } catch (err) {
+      parsed = undefined;
+      errors = [{ field: "", error: `invalid JSON (${err.message})`, value: null }];
+    }
+    if (errors.length === 0) break;
+
+    if (attempt < LLM_REPAIR_ATTEMPTS) {
+      console.log(`[PLU-PARSER] Zone ${zoneCode}: ${errors.length} schema error(s), repair round ${attempt + 1}`);
+      messages.push(
+        { role: "assistant", content: raw },
+        {
+          role: "user",
+          content: `Le JSON ne respecte pas le format demandé:\n${describeSchemaErrors(errors)}\nRenvoie le JSON complet corrigé, au même format.`,
+        },
+      );
+    }
+  }
+
+  if (jsonType(parsed) !== "object") {
+    throw new Error(`LLM response is not a JSON object: ${errors[0]?.error}`);
+  }
+  // Still invalid after the repair rounds: keep the valid fields, report the others
+  const ruleset = errors.length > 0 ? conformToSchema(parsed, RULESET_SCHEMA) : parsed;
+  ruleset.field_errors = errors.map(({ field, error, value }) => ({ field, error, llm_value: value }));
+  return ruleset;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REGEX-ONLY EXTRACTION (NO LLM)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function splitSentences(text) {
+  if (!text) return [];
+  // Paragraph breaks always end a sentence; single line breaks are PDF wrapping
+  return text
+    .split(/\n\s*\n/)
+    .flatMap((paragraph) => paragraph.replace(/\n+/g, " ").split(/(?<=[.;!?])\s+(?=[A-ZÀ-Ÿ0-9«"(-])/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * First sentence matching the keyword that also carries a figure, else the
+ * first sentence matching the keyword at all.
+ */
+function findKeySentence(text, keywordPattern, valuePattern = /\d/) {
+  const sentences = splitSentences(text).filter((s) => keywordPattern.test(s));
+  return sentences.find((s) => valuePattern.test(s)) || sentences[0] || null;
+}
+
+/**
+ * Excerpts are fixed windows that may start before the article heading and run
+ * into the next article: keep only the body of the requested article.
+ */
+function isolateArticleBody(excerpt, articleNum) {
+  if (!excerpt) return "";
+  const heading = new RegExp(`\\bart(?:icle|\\.)?\\s*(?:[0-9]?[a-z]{1,3}\\s*[.\\-]?\\s*)?${articleNum}\\b[^\\n]*\\n?`, "i");
+  const match = heading.exec(excerpt);
+  let body = match ? excerpt.slice(match.index + match[0].length) : excerpt;
+  const next = /\bart(?:icle|\.)\s*(?:[0-9]?[a-z]{1,3}\s*[.\-]?\s*)?\d{1,2}\b\s*[-–:.]/i.exec(body);
+  if (next) body = body.slice(0, next.index);
+  return body.trim();
+}
+
+const RECUL_KEYWORDS = /recul|retrait|implant|distance|alignement|limite/i;
+const RECUL_VALUE = /\d+(?:[.,]\d+)?\s*m(?!\s*(?:²|2))|h\s*\/\s*2|moitié\s+de\s+la\s+hauteur/i;
+
+function extractReculRegex(excerpt) {
+  const note = findKeySentence(excerpt, RECUL_KEYWORDS, RECUL_VALUE);
+  if (!note) return { regle: null, min_m: null, note: null };
+  return {
+    regle: detectRegleType(note),
+    min_m: extractMinimumMeters(note) ?? extractMetersValue(note),
+    note,
+  };
+}
+
+/**
+ * Deterministic ruleset from article excerpts, same raw shape as the LLM output
+ * so that postProcessZoneRuleset applies unchanged.
+ */
+function extractZoneRulesRegex(zoneCode, zoneLibelle, rawExcerpts) {
+  const excerpts = { ...rawExcerpts };
+  if (rawExcerpts.structure !== "THEMATIC") {
+    for (const num of ["6", "7", "9", "10", "12", "13"]) {
+      excerpts[`extrait_article_${num}`] = isolateArticleBody(rawExcerpts[`extrait_article_${num}`], num);
+    }
+  }
+  // Tables are read one cell per sentence, restricted to this zone's row or column
+  for (const key of Object.keys(excerpts)) {
+    if (key.startsWith("extrait_")) excerpts[key] = linearizeTables(excerpts[key], zoneCode);
+  }
+
+  // extractHauteurMax stops at the first figure, which may be the égout one
+  const hauteurMax = extractHauteurMax(excerpts.extrait_article_10);
+  const faitage = extractHauteurFaitage(excerpts.extrait_article_10);
+  const hauteurNote = findKeySentence(excerpts.extrait_article_10, /hauteur/i, /\d+(?:[.,]\d+)?\s*m/i);
+  const empriseNote = findKeySentence(excerpts.extrait_article_9, /emprise|ces\b/i, /%/);
+  const stationnementNote = findKeySentence(excerpts.extrait_article_12, /place|stationnement/i);
+  const espacesVertsNote = findKeySentence(excerpts.extrait_article_13, /espaces?\s+verts|pleine\s+terre|biotope|arbres?/i);
+  const enLimiteNote = findKeySentence(excerpts.extrait_article_7, /en\s+limites?\s+s[ée]paratives?|sur\s+(?:une|les)\s+limites?/i, /./);
+
+  const articles = [
+    ["6", excerpts.extrait_article_6],
+    ["7", excerpts.extrait_article_7],
+    ["9", excerpts.extrait_article_9],
+    ["10", excerpts.extrait_article_10],
+    ["12", excerpts.extrait_article_12],
+    ["13", excerpts.extrait_article_13],
+  ];
+
+  return {
+    zone_code: zoneCode,
+    zone_libelle: zoneLibelle || null,
+    reculs: {
+      voirie: extractReculRegex(excerpts.extrait_article_6),
+      limites_separatives: extractReculRegex(excerpts.extrait_article_7),
+      fond_parcelle: { regle: null, min_m: null, note: null },
+      implantation_en_limite: { autorisee: null, note: enLimiteNote },
+    },
+    stationnement: {
+      places_par_logement: extractPlacesParLogement(excerpts.extrait_article_12),
+      surface_par_place_m2: extractSurfaceParPlace(excerpts.extrait_article_12),
+      places_par_100m2: extractPlacesPar100m2(excerpts.extrait_article_12),
+      destinations: extractParkingDestinations(excerpts.extrait_article_12),
+      velo: extractVeloRules(excerpts.extrait_article_12),
+      reductions_transport: extractTransitReductions(excerpts.extrait_article_12),
+      note: stationnementNote,
+    },
+    hauteur: {
+      hauteur_max_m: hauteurMax !== null && faitage !== null && hauteurMax < faitage ? null : hauteurMax,
+      hauteur_egout_m: extractHauteurEgout(excerpts.extrait_article_10),
+      hauteur_acrotere_m: extractHauteurAcrotere(excerpts.extrait_article_10),
+      hauteur_faitage_m: faitage,
+      niveaux_max: extractNiveaux(excerpts.extrait_article_10)?.label ?? null,
+      hauteur_relative: extractHauteurRelative(excerpts.extrait_article_10),
+      note: hauteurNote,
+    },
+    emprise_sol: { emprise_sol_max: extractEmpriseSol(excerpts.extrait_article_9), note: empriseNote },
+    espaces_verts: {
+      espaces_verts_min: extractEspacesVertsMin(excerpts.extrait_article_13),
+      pleine_terre_min: extractPleineTerreMin(excerpts.extrait_article_13),
+      coefficient_biotope: extractCoefficientBiotope(excerpts.extrait_article_13),
+      plantations: extractPlantationRatios(excerpts.extrait_article_13),
+      note: espacesVertsNote,
+    },
+    articles_source: articles.filter(([, excerpt]) => excerpt).map(([num]) => `Article ${num}`),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXTRACTION BACKENDS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * A backend exposes:
+ *   name: string
+ *   usesLLM: boolean
+ *   discoverZones(text, usage) -> { plu_version_label, zones }
+ *   extractZoneRules(zoneCode, zoneLibelle, excerpts, usage) -> raw ruleset
+ * usage ({ calls, prompt_tokens, completion_tokens }, optional) is
+ * incremented by every LLM call.
+ *
+ *   openai  – OpenAI API (OPENAI_API_KEY, OPENAI_MODEL)
+ *   local   – any OpenAI-compatible endpoint (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY)
+ *   regex   – deterministic, offline, no API key
+ * Selected per request ("extraction_backend") or by PLU_EXTRACTION_BACKEND.
+ */
+
+const EXTRACTION_BACKENDS = ["openai", "local", "regex"];
+
+class ExtractionBackendError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Token counts of one completion added to a request's LLM usage
+function addLLMUsage(usage, completion) {
+  if (!usage) return;
+  usage.calls++;
+  usage.prompt_tokens += completion.usage?.prompt_tokens || 0;
+  usage.completion_tokens += completion.usage?.completion_tokens || 0;
+}
+
+function createLLMBackend(name, client, model) {
+  return {
+    name,
+    usesLLM: true,
+    model,
+    discoverZones: (text, usage) => discoverZonesLLM(text, client, model, usage),
+    extractZoneRules: (zoneCode, zoneLibelle, excerpts, usage) =>
+      extractZoneRulesLLM(client, zoneCode, zoneLibelle, excerpts, model, usage),
+  };
+}
+
+function createOpenAIBackend() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new ExtractionBackendError("EXTRACTION_BACKEND_UNAVAILABLE", "OPENAI_API_KEY is not set");
+  }
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return createLLMBackend("openai", client, DEFAULT_OPENAI_MODEL);
+}
+
+function createLocalLLMBackend() {
+  const baseURL = process.env.LOCAL_LLM_BASE_URL;
+  const model = process.env.LOCAL_LLM_MODEL;
+  if (!baseURL || !model) {
+    throw new ExtractionBackendError(
+      "EXTRACTION_BACKEND_UNAVAILABLE",
+      "LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL must be set for the local backend",
+    );
+  }
+  // Local servers (Ollama, vLLM, llama.cpp…) usually ignore the key but the SDK requires one
+  const client = new OpenAI({ baseURL, apiKey: process.env.LOCAL_LLM_API_KEY || "local" });
+  return createLLMBackend("local", client, model);
+}
+
+function createRegexBackend() {
+  return {
+    name: "regex",
+    usesLLM: false,
+    model: null,
+    discoverZones: async () => ({ plu_version_label: null, zones: [] }),
+    extractZoneRules: async (zoneCode, zoneLibelle, excerpts) => extractZoneRulesRegex(zoneCode, zoneLibelle, excerpts),
+  };
+}
+
+const backendFactories = {
+  openai: createOpenAIBackend,
+  local: createLocalLLMBackend,
+  regex: createRegexBackend,
+};
+
+// Clients are built on first use, not at module load
+const backendCache = new Map();
+
+function getExtractionBackend(name = DEFAULT_EXTRACTION_BACKEND) {
+  const key = String(name).trim().toLowerCase();
+  if (!EXTRACTION_BACKENDS.includes(key)) {
+    throw new ExtractionBackendError(
+      "INVALID_EXTRACTION_BACKEND",
+      `Unknown extraction backend "${name}" (expected one of ${EXTRACTION_BACKENDS.join(", ")})`,
+    );
+  }
+  if (!backendCache.has(key)) {
+    backendCache.set(key, backendFactories[key]());
+  }
+  return backendCache.get(key);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST-PROCESSING
+// ─────────────────────────────────────────────────────────────────────────────
+
+function postProcessRecul(recul) {
+  if (!recul) return { regle: null, min_m: null, note: null };
+
+  let { regle, min_m, note } = recul;
+  note = cleanNote(note);
+
+  if (min_m === null && note) {
+    min_m = extractMinimumMeters(note) || extractMetersValue(note);
+  }
+
+  if (regle === null && note) {
+    regle = detectRegleType(note);
+  }
+
+  if (regle === "H_OVER_2" && min_m !== null) {
+    regle = "H_OVER_2_MIN";
+  }
+
+  return { regle, min_m, note };
+}
+
+function postProcessImplantationLimite(impl) {
+  if (!impl) return { autorisee: null, note: null };
+
+  let { autorisee, note } = impl;
+  note = cleanNote(note);
+
+  if (autorisee === null && note) {
+    const lower = note.toLowerCase();
+    if (/autoris[ée]|permis|possible|admis/i.test(lower) && !/non\s+autoris/i.test(lower)) {
+      autorisee = true;
+    } else if (/interdit|non\s+autoris|pas\s+autoris/i.test(lower)) {
+      autorisee = false;
+    }
+  }
+
+  return { autorisee, note };
+}
+
+function postProcessParkingDestination(rule) {
+  if (!rule || !PARKING_DESTINATION_CODES.includes(rule.destination)) return null;
+  const number = (value) => (typeof value === "number" && value >= 0 ? value : null);
+  const note = cleanNote(rule.note, 150);
+  const fromNote = note ? parseParkingRatios(note)[0] : null;
+  return {
+    destination: rule.destination,
+    places_par_logement: number(rule.places_par_logement) ?? fromNote?.places_par_logement ?? null,
+    places_par_100m2: number(rule.places_par_100m2) ?? fromNote?.places_par_100m2 ?? null,
+    places_par_chambre: number(rule.places_par_chambre) ?? fromNote?.places_par_chambre ?? null,
+    note,
+  };
+}
+
+function postProcessVelo(velo) {
+  const empty = { surface_par_logement_m2: null, surface_par_100m2_m2: null, pourcentage_surface_plancher: null, note: null };
+  if (!velo) return empty;
+  const note = cleanNote(velo.note, 150);
+  const fromNote = note ? extractVeloRules(note) : empty;
+  const pct = velo.pourcentage_surface_plancher ?? null;
+  return {
+    surface_par_logement_m2: velo.surface_par_logement_m2 ?? fromNote.surface_par_logement_m2,
+    surface_par_100m2_m2: velo.surface_par_100m2_m2 ?? fromNote.surface_par_100m2_m2,
+    // Percentages sometimes come back as 1.5 instead of 0.015
+    pourcentage_surface_plancher: pct !== null ? (pct >= 1 ? pct / 100 : pct) : fromNote.pourcentage_surface_plancher,
+    note,
+  };
+}
+
+function postProcessTransitReduction(reduction) {
+  if (!reduction) return null;
+  const taux = reduction.taux_reduction ?? null;
+  const result = {
+    destination: PARKING_DESTINATION_CODES.includes(reduction.destination) ? reduction.destination : null,
+    rayon_m: reduction.rayon_m ?? null,
+    places_max_par_logement: reduction.places_max_par_logement ?? null,
+    taux_reduction: taux !== null && taux >= 1 ? taux / 100 : taux,
+    note: cleanNote(reduction.note, 150),
+  };
+  return result.places_max_par_logement !== null || result.taux_reduction !== null ? result : null;
+}
+
+function postProcessStationnement(stat) {
+  if (!stat) {
+    return {
+      places_par_logement: null,
+      surface_par_place_m2: null,
+      places_par_100m2: null,
+      destinations: [],
+      velo: postProcessVelo(null),
+      reductions_transport: [],
+      plafonds_legaux: STATUTORY_PARKING_CAPS.map((cap) => ({ ...cap })),
+      note: null,
+    };
+  }
+
+  let { places_par_logement = null, surface_par_place_m2 = null, places_par_100m2 = null, note } = stat;
+  note = cleanNote(note);
+
+  if (places_par_logement === null && note) {
+    places_par_logement = extractPlacesParLogement(note);
+  }
+  if (surface_par_place_m2 === null && note) {
+    surface_par_place_m2 = extractSurfaceParPlace(note);
+  }
+  if (places_par_100m2 === null && note) {
+    places_par_100m2 = extractPlacesPar100m2(note);
+  }
+
+  const destinations = (Array.isArray(stat.destinations) ? stat.destinations : [])
+    .map(postProcessParkingDestination)
+    .filter(Boolean);
+  // The general ratio is the housing one when only destinations were given
+  places_par_logement ??= destinations.find((d) => d.destination === "LOGEMENT")?.places_par_logement ?? null;
+
+  return {
+    places_par_logement,
+    surface_par_place_m2,
+    places_par_100m2,
+    destinations,
+    velo: postProcessVelo(stat.velo),
+    reductions_transport: (Array.isArray(stat.reductions_transport) ? stat.reductions_transport : [])
+      .map(postProcessTransitReduction)
+      .filter(Boolean),
+    // Apply whatever the PLU says: the PLU cannot require more than these near transit
+    plafonds_legaux: STATUTORY_PARKING_CAPS.map((cap) => ({ ...cap })),
+    note,
+  };
+}
+
+function postProcessHauteurRelative(rel, note) {
+  if (rel && ["LARGEUR_VOIE", "VOISIN"].includes(rel.regle)) {
+    return { regle: rel.regle, marge_m: rel.marge_m ?? null, note: cleanNote(rel.note) };
+  }
+  return extractHauteurRelative(note);
+}
+
+/*
+ * hauteur_max_m keeps the explicit overall limit when there is one, otherwise
+ * the faîtage, then the higher of égout/acrotère. Levels are converted later by
+ * applyStoreyHeight (storey height is a request parameter, not cached).
+ */
+function postProcessHauteur(haut) {
+  const empty = {
+    hauteur_max_m: null,
+    hauteur_max_source: null,
+    hauteur_egout_m: null,
+    hauteur_acrotere_m: null,
+    hauteur_faitage_m: null,
+    niveaux_max: null,
+    hauteur_niveaux_m: null,
+    hauteur_etage_m: null,
+    hauteur_relative: null,
+    note: null,
+  };
+  if (!haut) return empty;
+
+  let { hauteur_max_m = null, hauteur_egout_m = null, hauteur_acrotere_m = null, hauteur_faitage_m = null, note } = haut;
+  note = cleanNote(note);
+
+  if (hauteur_egout_m === null && note) hauteur_egout_m = extractHauteurEgout(note);
+  if (hauteur_acrotere_m === null && note) hauteur_acrotere_m = extractHauteurAcrotere(note);
+  if (hauteur_faitage_m === null && note) hauteur_faitage_m = extractHauteurFaitage(note);
+
+  let hauteur_max_source = hauteur_max_m !== null ? "EXPLICITE" : null;
+
+  if (hauteur_max_m === null && note) {
+    hauteur_max_m = extractHauteurMax(note);
+    // extractHauteurMax stops at the first figure, which may be the égout one
+    if (hauteur_max_m !== null && hauteur_faitage_m !== null && hauteur_max_m < hauteur_faitage_m) {
+      hauteur_max_m = null;
+    }
+    if (hauteur_max_m !== null) hauteur_max_source = "EXPLICITE";
+  }
+  if (hauteur_max_m === null && hauteur_faitage_m !== null) {
+    hauteur_max_m = hauteur_faitage_m;
+    hauteur_max_source = "FAITAGE";
+  }
+  if (hauteur_max_m === null && (hauteur_egout_m !== null || hauteur_acrotere_m !== null)) {
+    hauteur_max_m = Math.max(hauteur_egout_m ?? 0, hauteur_acrotere_m ?? 0);
+    hauteur_max_source = "EGOUT_ACROTERE";
+  }
+
+  return {
+    ...empty,
+    hauteur_max_m,
+    hauteur_max_source,
+    hauteur_egout_m,
+    hauteur_acrotere_m,
+    hauteur_faitage_m,
+    niveaux_max: parseNiveaux(haut.niveaux_max) || extractNiveaux(note),
+    hauteur_relative: postProcessHauteurRelative(haut.hauteur_relative, note),
+    note,
+  };
+}
+
+/**
+ * Convert the R+n limit into metres (combles / attique count as one storey) and
+ * use it as hauteur_max_m when no metric limit exists. An estimate already
+ * applied is recomputed with the given storey height.
+ */
+function applyStoreyHeight(ruleset, storeyHeight = DEFAULT_STOREY_HEIGHT_M) {
+  const hauteur = ruleset.hauteur;
+  if (!hauteur?.niveaux_max) return ruleset;
+
+  const { etages, combles, attique } = hauteur.niveaux_max;
+  const levels = 1 + etages + (combles || attique ? 1 : 0);
+  hauteur.hauteur_etage_m = storeyHeight;
+  hauteur.hauteur_niveaux_m = Math.round(levels * storeyHeight * 100) / 100;
+
+  if (hauteur.hauteur_max_m === null || hauteur.hauteur_max_source === "NIVEAUX") {
+    hauteur.hauteur_max_m = hauteur.hauteur_niveaux_m;
+    hauteur.hauteur_max_source = "NIVEAUX";
+    if (hauteur.provenance) hauteur.provenance.hauteur_max_m = hauteur.provenance.niveaux_max;
+  }
+  return ruleset;
+}
+
+function postProcessEmprise(emp) {
+  if (!emp) return { emprise_sol_max: null, note: null };
+
+  let { emprise_sol_max, note } = emp;
+  note = cleanNote(note);
+
+  if (emprise_sol_max === null && note) {
+    emprise_sol_max = extractEmpriseSol(note);
+  }
+
+  if (emprise_sol_max !== null && emprise_sol_max > 1) {
+    emprise_sol_max = emprise_sol_max / 100;
+  }
+
+  return { emprise_sol_max, note };
+}
+
+function postProcessEspacesVerts(ev) {
+  if (!ev) return { espaces_verts_min: null, pleine_terre_min: null, coefficient_biotope: null, plantations: [], note: null };
+
+  let { espaces_verts_min = null, pleine_terre_min = null, coefficient_biotope = null, plantations, note } = ev;
+  note = cleanNote(note);
+
+  if (espaces_verts_min === null && note) espaces_verts_min = extractEspacesVertsMin(note);
+  if (pleine_terre_min === null && note) pleine_terre_min = extractPleineTerreMin(note);
+  if (!coefficient_biotope?.cbs_min && note) coefficient_biotope = extractCoefficientBiotope(note) || coefficient_biotope;
+
+  if (coefficient_biotope) {
+    coefficient_biotope = {
+      cbs_min: percentToRatio(coefficient_biotope.cbs_min ?? null),
+      ponderations: Array.isArray(coefficient_biotope.ponderations)
+        ? coefficient_biotope.ponderations.filter((p) => p && typeof p.coefficient === "number")
+        : [],
+    };
+  }
+
+  plantations = Array.isArray(plantations)
+    ? plantations.filter((p) => p && typeof p.arbres === "number" && typeof p.pour === "number" && PLANTATION_UNITS.includes(p.unite))
+    : [];
+  if (plantations.length === 0 && note) plantations = extractPlantationRatios(note);
+
+  return {
+    espaces_verts_min: percentToRatio(espaces_verts_min),
+    pleine_terre_min: percentToRatio(pleine_terre_min),
+    coefficient_biotope,
+    plantations,
+    note,
+  };
+}
+
+function postProcessZoneRuleset(raw, zoneCode, zoneLibelle) {
+  const ruleset = {
+    zone_code: raw.zone_code || zoneCode,
+    zone_libelle: raw.zone_libelle || zoneLibelle || null,
+    reculs: {
+      voirie: postProcessRecul(raw.reculs?.voirie),
+      limites_separatives: postProcessRecul(raw.reculs?.limites_separatives),
+      fond_parcelle: postProcessRecul(raw.reculs?.fond_parcelle),
+      implantation_en_limite: postProcessImplantationLimite(raw.reculs?.implantation_en_limite),
+    },
+    stationnement: postProcessStationnement(raw.stationnement),
+    hauteur: postProcessHauteur(raw.hauteur),
+    emprise_sol: postProcessEmprise(raw.emprise_sol),
+    espaces_verts: postProcessEspacesVerts(raw.espaces_verts),
+    articles_source: Array.isArray(raw.articles_source) ? raw.articles_source : [],
+  };
+  // Fields the LLM got wrong even after repair (set to null above)
+  if (Array.isArray(raw.field_errors) && raw.field_errors.length > 0) {
+    ruleset.field_errors = raw.field_errors;
+  }
+
+  return ruleset;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIDENCE (LLM vs REGEX CROSS-CHECK)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * The regex extractor runs on the same raw excerpts as an independent second
+ * opinion. Per field:
+ *   AGREE       both found the same value
+ *   LLM_ONLY    only the LLM found a value
+ *   REGEX_ONLY  only the regex found a value (or regex backend)
+ *   CONFLICT    both found a value and they differ
+ *   NONE        neither found a value
+ * Raw LLM values are compared, before post-processing fills nulls from notes.
+ */
+
+const CROSS_CHECK_FIELDS = [
+  { path: "reculs.voirie.regle", source: "extrait_article_6" },
+  { path: "reculs.voirie.min_m", source: "extrait_article_6" },
+  { path: "reculs.limites_separatives.regle", source: "extrait_article_7" },
+  { path: "reculs.limites_separatives.min_m", source: "extrait_article_7" },
+  { path: "hauteur.hauteur_max_m", source: "extrait_article_10" },
+  { path: "hauteur.hauteur_egout_m", source: "extrait_article_10" },
+  { path: "hauteur.hauteur_acrotere_m", source: "extrait_article_10" },
+  { path: "hauteur.hauteur_faitage_m", source: "extrait_article_10" },
+  { path: "emprise_sol.emprise_sol_max", source: "extrait_article_9" },
+  { path: "espaces_verts.espaces_verts_min", source: "extrait_article_13" },
+  { path: "espaces_verts.pleine_terre_min", source: "extrait_article_13" },
+  { path: "espaces_verts.coefficient_biotope.cbs_min", source: "extrait_article_13" },
+  { path: "stationnement.places_par_logement", source: "extrait_article_12" },
+  { path: "stationnement.surface_par_place_m2", source: "extrait_article_12" },
+  { path: "stationnement.places_par_100m2", source: "extrait_article_12" },
+  { path: "stationnement.velo.surface_par_logement_m2", source: "extrait_article_12" },
+];
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, key) => (o === null || o === undefined ? undefined : o[key]), obj) ?? null;
+}
+
+function normalizeCheckValue(raw, path) {
+  let value = getPath(raw, path);
+  if (value === null) return null;
+
+  if (path.endsWith(".regle")) {
+    // Same promotion as postProcessRecul: H/2 with a minimum distance
+    const minM = getPath(raw, path.replace(/\.regle$/, ".min_m"));
+    return value === "H_OVER_2" && minM !== null ? "H_OVER_2_MIN" : value;
+  }
+
+  if (typeof value === "string") value = parseFrenchDecimal(value);
+  if (typeof value !== "number" || isNaN(value)) return null;
+  const ratioFields = [
+    "emprise_sol.emprise_sol_max",
+    "espaces_verts.espaces_verts_min",
+    "espaces_verts.pleine_terre_min",
+    "espaces_verts.coefficient_biotope.cbs_min",
+  ];
+  if (ratioFields.includes(path) && value > 1) value = value / 100;
+  return value;
+}
+
+function valuesAgree(a, b) {
+  if (typeof a === "number" && typeof b === "number") return Math.abs(a - b) < 1e-6;
+  return a === b;
+}
+
+/**
+ * { <field path>: { level, llm_value, regex_value, source } }
+ * llmRaw is null when the ruleset came from the regex backend.
+ */
+function crossCheckRuleset(llmRaw, regexRaw) {
+  const confidence = {};
+  for (const { path, source } of CROSS_CHECK_FIELDS) {
+    const llmValue = llmRaw ? normalizeCheckValue(llmRaw, path) : null;
+    const regexValue = normalizeCheckValue(regexRaw, path);
+
+    let level;
+    if (llmValue === null && regexValue === null) level = "NONE";
+    else if (regexValue === null) level = "LLM_ONLY";
+    else if (llmValue === null) level = "REGEX_ONLY";
+    else level = valuesAgree(llmValue, regexValue) ? "AGREE" : "CONFLICT";
+
+    confidence[path] = { level, llm_value: llmValue, regex_value: regexValue, source };
+  }
+  return confidence;
+}
+
+/**
+ * Structured warnings for meta, one per conflicting field.
+ */
+function collectFieldConflicts(zoneCode, ruleset) {
+  return Object.entries(ruleset.confidence || {})
+    .filter(([, c]) => c.level === "CONFLICT")
+    .map(([field, c]) => ({
+      type: "FIELD_CONFLICT",
+      zone_code: zoneCode,
+      field,
+      llm_value: c.llm_value,
+      regex_value: c.regex_value,
+      source: c.source,
+    }));
+}
+
+function collectFieldErrors(zoneCode, ruleset) {
+  return (ruleset.field_errors || []).map((e) => ({
+    type: "FIELD_INVALID",
+    zone_code: zoneCode,
+    field: e.field,
+    error: e.error,
+    llm_value: e.llm_value,
+  }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROVENANCE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Each extracted value gets a provenance object:
+ *   { document_index, page, char_start, char_end, source_text }
+ * Offsets point into the normalised full text (documents and pages joined in
+ * order), source_text is the exact sentence found there. null when the value
+ * cannot be traced back to a sentence of its excerpt.
+ */
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function pageAtOffset(pageIndex, offset) {
+  return pageIndex.find((p) => offset >= p.start && offset <= p.end) || null;
+}
+
+// Sentence end, paragraph break, or a line break before a capitalised line
+// (headings such as "ARTICLE UA 10 - Hauteur" sit on their own line without a period)
+const SENTENCE_BOUNDARY = /[.;!?]\s+(?=[A-ZÀ-Ÿ0-9«"(-])|\n\s*\n|(?<![,;:(\-–'’])\n(?=[A-ZÀ-Ÿ])/g;
+
+/**
+ * Sentence boundaries around [start, end) in text, looking at most 1500 chars away.
+ */
+function sentenceSpanAround(text, start, end) {
+  const windowStart = Math.max(0, start - 1500);
+  // Search up to `end` so that lookaheads can see the first characters of the span
+  const before = text.slice(windowStart, end);
+  let sentenceStart = windowStart;
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_BOUNDARY.exec(before)) !== null) {
+    if (windowStart + match.index + match[0].length > start) break;
+    sentenceStart = windowStart + match.index + match[0].length;
+  }
+
+  const after = text.slice(end, end + 1500);
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  const next = SENTENCE_BOUNDARY.exec(after);
+  // Keep the closing punctuation, not the whitespace after it
+  const sentenceEnd = next ? end + next.index + (/^[.;!?]/.test(next[0]) ? 1 : 0) : end + after.length;
+  return { start: sentenceStart, end: sentenceEnd };
+}
+
+// Regex source matching a value as written in a règlement ("2,5 m", "40 %"…)
+function valuePatternSource(value, unit) {
+  const [intPart, decPart] = String(value).split(".");
+  const number = decPart ? `${intPart}[.,]${decPart}` : intPart;
+  return `(?<![\\d.,])${number}(?!\\d|[.,]\\d)\\s*${unit}`;
+}
+
+function findSpan(excerpt, excerptStart, pattern) {
+  const match = pattern.exec(excerpt);
+  return match ? { start: excerptStart + match.index, end: excerptStart + match.index + match[0].length } : null;
+}
+
+/**
+ * Locate the source of a value inside its excerpt. The note (whitespace-
+ * insensitive) wins when its sentence holds the value; otherwise the first
+ * occurrence of the value; the note alone as a last resort.
+ */
+function locateInExcerpt(excerpt, excerptStart, note, valueSource, fullText) {
+  if (!excerpt || excerptStart === null || excerptStart === undefined) return null;
+
+  let noteSpan = null;
+  if (note && note !== "LLM_FAILED") {
+    const words = note.replace(/\.\.\.$/, "").split(/\s+/).filter(Boolean).slice(0, 15);
+    if (words.length >= 3) {
+      noteSpan = findSpan(excerpt, excerptStart, new RegExp(words.map(escapeRegExp).join("\\s+"), "i"));
+    }
+  }
+
+  if (!valueSource) return noteSpan;
+
+  const valuePattern = new RegExp(valueSource, "i");
+  if (noteSpan) {
+    const sentence = sentenceSpanAround(fullText, noteSpan.start, noteSpan.end);
+    if (valuePattern.test(fullText.slice(sentence.start, sentence.end))) return noteSpan;
+  }
+  return findSpan(excerpt, excerptStart, valuePattern) || noteSpan;
+}
+
+function buildProvenance(fullText, pageIndex, span) {
+  if (!span) return null;
+  const sentence = sentenceSpanAround(fullText, span.start, span.end);
+  const page = pageAtOffset(pageIndex, sentence.start);
+  return {
+    document_index: page ? page.document_index : null,
+    page: page ? page.page : null,
+    char_start: sentence.start,
+    char_end: sentence.end,
+    source_text: fullText.slice(sentence.start, sentence.end).trim(),
+  };
+}
+
+function provenanceFor(value, valueSource, note, excerpts, excerptKey, fullText, pageIndex) {
+  if (value === null || value === undefined) return null;
+  const offsets = excerpts.excerpt_offsets || {};
+  const span =
+    locateInExcerpt(excerpts[excerptKey], offsets[excerptKey], note, valueSource, fullText) ||
+    locateInExcerpt(excerpts.fallback_context, offsets.fallback_context, note, valueSource, fullText);
+  return buildProvenance(fullText, pageIndex, span);
+}
+
+const METERS_UNIT = "m(?!\\s*(?:²|2))";
+
+/**
+ * Attach { provenance: { <field>: {...} } } to each ruleset section.
+ */
+function attachProvenance(ruleset, excerpts, fullText, pageIndex) {
+  const trace = (value, unit, note, excerptKey) =>
+    provenanceFor(value, value === null ? null : valuePatternSource(value, unit), note, excerpts, excerptKey, fullText, pageIndex);
+
+  const reculExcerpts = {
+    voirie: "extrait_article_6",
+    limites_separatives: "extrait_article_7",
+    fond_parcelle: "extrait_article_7",
+  };
+  for (const [key, excerptKey] of Object.entries(reculExcerpts)) {
+    const recul = ruleset.reculs[key];
+    recul.provenance = { min_m: trace(recul.min_m, METERS_UNIT, recul.note, excerptKey) };
+  }
+
+  const { hauteur, emprise_sol, stationnement, espaces_verts } = ruleset;
+  hauteur.provenance = {};
+  for (const field of ["hauteur_max_m", "hauteur_egout_m", "hauteur_acrotere_m", "hauteur_faitage_m"]) {
+    hauteur.provenance[field] = trace(hauteur[field], METERS_UNIT, hauteur.note, "extrait_article_10");
+  }
+  hauteur.provenance.niveaux_max = hauteur.niveaux_max
+    ? provenanceFor(hauteur.niveaux_max.label, "R\\s*\\+\\s*\\d+|\\d+\\s*niveaux", hauteur.note, excerpts, "extrait_article_10", fullText, pageIndex)
+    : null;
+
+  // emprise_sol_max is a ratio (0.6) written as a percentage (60 %)
+  const emprisePct = emprise_sol.emprise_sol_max === null ? null : Math.round(emprise_sol.emprise_sol_max * 10000) / 100;
+  emprise_sol.provenance = { emprise_sol_max: trace(emprisePct, "%", emprise_sol.note, "extrait_article_9") };
+
+  const asPct = (ratio) => (ratio === null || ratio === undefined ? null : Math.round(ratio * 10000) / 100);
+  espaces_verts.provenance = {
+    espaces_verts_min: trace(asPct(espaces_verts.espaces_verts_min), "%", espaces_verts.note, "extrait_article_13"),
+    pleine_terre_min: trace(asPct(espaces_verts.pleine_terre_min), "%", espaces_verts.note, "extrait_article_13"),
+    coefficient_biotope: espaces_verts.coefficient_biotope
+      ? provenanceFor(true, "coefficient\\s+de\\s+biotope|\\bCBS\\b", espaces_verts.note, excerpts, "extrait_article_13", fullText, pageIndex)
+      : null,
+    plantations: espaces_verts.plantations.length
+      ? provenanceFor(true, "\\d+\\s*arbres?", espaces_verts.note, excerpts, "extrait_article_13", fullText, pageIndex)
+      : null,
+  };
+
+  stationnement.provenance = {
+    places_par_logement: trace(stationnement.places_par_logement, "places?", stationnement.note, "extrait_article_12"),
+    surface_par_place_m2: trace(stationnement.surface_par_place_m2, "m", stationnement.note, "extrait_article_12"),
+    places_par_100m2: trace(stationnement.places_par_100m2, "places?", stationnement.note, "extrait_article_12"),
+    // One entry per destination, in the same order
+    destinations: stationnement.destinations.map((rule) =>
+      provenanceFor(true, "places?", rule.note, excerpts, "extrait_article_12", fullText, pageIndex)
+    ),
+    velo: stationnement.velo.note
+      ? provenanceFor(true, "v[ée]los?|cycles|deux[\\s-]roues", stationnement.velo.note, excerpts, "extrait_article_12", fullText, pageIndex)
+      : null,
+    reductions_transport: stationnement.reductions_transport.map((reduction) =>
+      provenanceFor(true, null, reduction.note, excerpts, "extrait_article_12", fullText, pageIndex)
+    ),
+  };
+
+  return ruleset;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetches the documents given by URL, then extracts their text page by page
+ * (cached by PDF hash, scanned pages OCR'd) and concatenates it in order.
+ * Plain-text documents are only split on form feeds.
+ * Returns { fullText, pageIndex, ocr, warnings, ocrIncomplete } or an error { status, payload };
+ * ocrIncomplete is set when pages needed OCR that could not be run.
+ */
+async function loadSourceText(sourceDocs, { forceRefresh = false, cacheStats = null, ocrMode = "auto" } = {}) {
+  for (const doc of sourceDocs) {
+    if (doc.buffer) continue;
+    try {
+      doc.buffer = await fetchPdfBuffer(doc.url);
+    } catch (err) {
+      const code = err instanceof PdfFetchError ? err.code : "PDF_FETCH_ERROR";
+      console.error(`[PLU-PARSER] PDF fetch error ${code} (${describeSourceDocument(doc)}):`, err.message);
+      return {
+        status: PDF_FETCH_ERROR_STATUS[code] || 502,
+        payload: {
+          success: false,
+          error: code,
+          message: err.message,
+          source_document: sourceDocumentIdentity(doc),
+        },
+      };
+    }
+  }
+
+  for (const doc of sourceDocs) {
+    doc.sha256 = sha256(doc.buffer);
+  }
+
+  let fullText;
+  let pageIndex;
+  const warnings = [];
+  const ocr = { mode: ocrMode, engine: "tesseract", lang: OCR_LANG, pages: [], failed_pages: [] };
+  let ocrIncomplete = false;
+  try {
+    for (const doc of sourceDocs) {
+      if (doc.origin === "text") {
+        doc.pagesText = doc.text.split("\f");
+        doc.pages = doc.pagesText.length;
+        continue;
+      }
+      const cacheKey = textCacheKey(doc.sha256);
+      let extracted = forceRefresh ? null : await cacheGet(cacheKey);
+      if (extracted && Array.isArray(extracted.pages)) {
+        if (cacheStats) cacheStats.text_hits++;
+      } else {
+        if (cacheStats) cacheStats.text_misses++;
+        extracted = await extractPdfPages(doc.buffer);
+        await cacheSet(cacheKey, extracted, CACHE_TEXT_TTL_MS);
+      }
+      // Copied: OCR replaces pages in place and must not alter the cached text layer
+      doc.pagesText = [...extracted.pages];
+      doc.pages = extracted.numpages;
+
+      try {
+        const result = await applyOcr(doc, ocrMode, { forceRefresh });
+        ocr.pages.push(...result.pages.map((page) => ({ document_index: doc.index, page })));
+        ocr.failed_pages.push(...result.failed_pages.map((page) => ({ document_index: doc.index, page })));
+      } catch (err) {
+        if (!(err instanceof OcrError)) throw err;
+        if (ocrMode === "force") {
+          return { status: 503, payload: { success: false, error: err.code, message: err.message } };
+        }
+        console.error(`[PLU-PARSER] ${err.code}: ${err.message}`);
+        warnings.push(`${err.code}: ${err.message}`);
+        ocrIncomplete = true;
+      }
+    }
+    ({ text: fullText, pageIndex } = assembleFullText(sourceDocs));
+  } catch (err) {
+    console.error("[PLU-PARSER] PDF parse error:", err.message);
+    return {
+      status: 500,
+      payload: {
+        success: false,
+        error: "PDF_PARSE_ERROR",
+        message: err.message,
+      },
+    };
+  }
+
+  if (ocr.failed_pages.length > 0) {
+    warnings.push(`OCR_PAGES_FAILED: ${ocr.failed_pages.map((p) => `${p.document_index}:${p.page}`).join(", ")}`);
+    ocrIncomplete = true;
+  }
+  return { fullText, pageIndex, ocr, warnings, ocrIncomplete };
+}
+
+// Placeholder returned when a zone's extraction failed
+function failedZoneRuleset(zone_code, zone_libelle) {
+  return {
+    zone_code,
+    zone_libelle: zone_libelle || null,
+    reculs: {
+      voirie: { regle: null, min_m: null, note: "LLM_FAILED" },
+      limites_separatives: { regle: null, min_m: null, note: "LLM_FAILED" },
+      fond_parcelle: { regle: null, min_m: null, note: "LLM_FAILED" },
+      implantation_en_limite: { autorisee: null, note: "LLM_FAILED" },
+    },
+    stationnement: { ...postProcessStationnement(null), note: "LLM_FAILED" },
+    hauteur: { ...postProcessHauteur(null), note: "LLM_FAILED" },
+    emprise_sol: { emprise_sol_max: null, note: "LLM_FAILED" },
+    espaces_verts: { ...postProcessEspacesVerts(null), note: "LLM_FAILED" },
+    articles_source: [],
+  };
+}
+
+// Base64-encoded règlements are ~4/3 the PDF size: only document routes accept large bodies
+const JSON_BODY_LIMIT = "10mb";
+const DOCUMENT_JSON_BODY_LIMIT = "80mb";
+
+function jsonBody(limit) {
+  const parse = express.json({ limit });
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (!err) return next();
+      if (err.type === "entity.parse.failed") {
+        console.error("[PLU-PARSER] INVALID_JSON", err.message);
+        return res.status(400).json({ success: false, error: "INVALID_JSON" });
+      }
+      if (err.type === "entity.too.large") {
+        console.error("[PLU-PARSER] Request body too large:", err.message);
+        return res.status(413).json({ success: false, error: "REQUEST_TOO_LARGE", message: `JSON body larger than ${limit}` });
+      }
+      return next(err);
+    });
+  };
+}
+
+const parseJson = jsonBody(JSON_BODY_LIMIT);
+const parseDocumentJson = jsonBody(DOCUMENT_JSON_BODY_LIMIT);
+
+function handleUpload(req, res, next) {
+  upload.any()(req, res, (err) => {
+    if (!err) return next();
+    console.error("[PLU-PARSER] Upload error:", err.message);
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ success: false, error: "PDF_TOO_LARGE", message: err.message });
+    }
+    return res.status(400).json({ success: false, error: "INVALID_UPLOAD", message: err.message });
+  });
+}
+
+/*
+ * Full parse pipeline, shared by the synchronous endpoint and async jobs.
+ * Returns { status, payload } (HTTP status + response body); unexpected errors throw.
+ * hooks (all optional):
+ *   onZonesPlanned({ zones_detected, zones_to_process })
+ *   onZoneDone(zoneEntry)
+ *   signal: AbortSignal, checked before each zone
+ *   backend: extraction backend used instead of body.extraction_backend
+ *     (evaluate.js replays recorded LLM responses through it)
+ *   llmUsage: { calls, prompt_tokens, completion_tokens } counter to use as
+ *     meta.llm_usage, still readable when the parse is cancelled
+ *   skipCommuneCache: do not store the zones as the commune's latest rulesets
+ *     (plu-diff sides may be a superseded PLU)
+ *   textUploads: Set of upload field names holding plain text instead of a PDF
+ *     (evaluate.js fixtures)
+ */
+
+class ParseCancelledError extends Error {
+  constructor() {
+    super("Parse cancelled");
+    this.code = "CANCELLED";
+  }
+}
+
+async function runPluParse(body, files, hooks = {}) {
+  const warnings = [];
+  const meta = {
+    zones_detected: 0,
+    zones_processed: 0,
+    used_discovery: "regex",
+    extraction_backend: null,
+    reglement_structure: null,
+    general_provisions: null,
+    ocr: null,
+    llm_usage: hooks.llmUsage || { calls: 0, prompt_tokens: 0, completion_tokens: 0 },
+    parser_version: PARSER_VERSION,
+    storey_height_m: DEFAULT_STOREY_HEIGHT_M,
+    cache: {
+      store: cacheStore ? cacheStore.name : "none",
+      force_refresh: false,
+      text_hits: 0,
+      text_misses: 0,
+      ruleset_hits: [],
+      ruleset_misses: [],
+    },
+    target_zone_mode: false,
+    target_zone_code: null,
+    target_zone_found_in_discovery: false,
+    warnings: [],
+    field_warnings: [],
+  };
+
+  const { commune_insee, commune_nom, target_zone_code: rawTargetZone } = body;
+
+  let backend;
+  try {
+    backend = hooks.backend || getExtractionBackend(body.extraction_backend || DEFAULT_EXTRACTION_BACKEND);
+  } catch (err) {
+    if (err instanceof ExtractionBackendError) {
+      const status = err.code === "INVALID_EXTRACTION_BACKEND" ? 400 : 503;
+      return { status, payload: { success: false, error: err.code, message: err.message } };
+    }
+    throw err;
+  }
+  meta.extraction_backend = backend.name;
+
+  const forceRefresh = body.force_refresh === true || body.force_refresh === "true";
+  meta.cache.force_refresh = forceRefresh;
+
+  let storeyHeight = DEFAULT_STOREY_HEIGHT_M;
+  if (body.storey_height_m !== undefined && body.storey_height_m !== null && body.storey_height_m !== "") {
+    storeyHeight = Number(body.storey_height_m);
+    if (!(storeyHeight >= 2 && storeyHeight <= 6)) {
+      return { status: 400, payload: { success: false, error: "INVALID_STOREY_HEIGHT", message: "storey_height_m must be between 2 and 6" } };
+    }
+  }
+  meta.storey_height_m = storeyHeight;
+
+  let maxZones = MAX_PROCESSED_ZONES;
+  if (body.max_zones !== undefined && body.max_zones !== null && body.max_zones !== "") {
+    maxZones = Number(body.max_zones);
+    if (!Number.isInteger(maxZones) || maxZones < 0) {
+      return { status: 400, payload: { success: false, error: "INVALID_MAX_ZONES", message: "max_zones must be a non-negative integer (0 = no limit)" } };
+    }
+  }
+
+  const ocrMode = parseOcrMode(body.ocr);
+  if (!ocrMode) {
+    return { status: 400, payload: { success: false, error: "INVALID_OCR_MODE", message: `ocr must be one of ${OCR_MODES.join(", ")}` } };
+  }
+
+  let sourceDocs;
+  try {
+    sourceDocs = resolveSourceDocuments(body, files, hooks.textUploads);
+  } catch (err) {
+    if (err instanceof SourceDocumentError) {
+      return { status: 400, payload: { success: false, error: err.code, message: err.message } };
+    }
+    throw err;
+  }
+
+  if (!commune_insee || sourceDocs.length === 0) {
+    return { status: 400, payload: { success: false, error: "MISSING_PARAMS" } };
+  }
+
+  // Normalize target_zone_code if provided
+  const targetZoneCode = normalizeZoneCode(rawTargetZone);
+  const isTargetZoneMode = !!targetZoneCode;
+
+  if (isTargetZoneMode) {
+    meta.target_zone_mode = true;
+    meta.target_zone_code = targetZoneCode;
+    console.log(`[PLU-PARSER] 🎯 TARGET_ZONE_MODE: ${targetZoneCode}`);
+  }
+
+  console.log(
+    `[PLU-PARSER] Commune ${commune_nom || "?"} (${commune_insee}) - ${sourceDocs.length} document(s):`,
+    sourceDocs.map(describeSourceDocument),
+  );
+
+  // 2️⃣ + 3️⃣ Fetch PDFs, extract text page by page
+  const loaded = await loadSourceText(sourceDocs, { forceRefresh, cacheStats: meta.cache, ocrMode });
+  if (loaded.payload) return loaded;
+  const { fullText, pageIndex } = loaded;
+  meta.ocr = loaded.ocr;
+  warnings.push(...loaded.warnings);
+
+  const source_document = buildSourceDocumentField(sourceDocs);
+
+  if (!fullText || fullText.length < 100) {
+    return {
+      status: 400,
+      payload: {
+        success: false,
+        error: "PDF_EMPTY_OR_UNREADABLE",
+        ocr: loaded.ocr,
+        warnings: loaded.warnings,
+      },
+    };
+  }
+
+  // The heading tree and segment index are built once and kept while the document is parsed
+  pinTextAnalysis(fullText);
+  try {
+    console.log(`[PLU-PARSER] Extracted ${fullText.length} chars`);
+
+    const reglementStructure = detectReglementStructure(fullText);
+    meta.reglement_structure = reglementStructure;
+    console.log(`[PLU-PARSER] Règlement structure: ${reglementStructure}`);
+
+    // 4️⃣ Discovery: zones + plu_version_label
+    let discoveredZones = [];
+    let plu_version_label = extractPluVersionLabel(fullText);
+
+    // Try regex first
+    const regexZones = discoverZonesRegex(fullText);
+  
+    if (regexZones.length > 0) {
+      discoveredZones = regexZones;
+      meta.used_discovery = "regex";
+      console.log(`[PLU-PARSER] Regex discovered ${discoveredZones.length} zones:`, regexZones.map((z) => z.zone_code));
+    } else if (backend.usesLLM) {
+      // Fallback to LLM discovery
+      console.log("[PLU-PARSER] Regex found no zones, using LLM discovery...");
+      try {
+        const discovery = await backend.discoverZones(fullText, meta.llm_usage);
+        discoveredZones = (discovery.zones || [])
+          .map((z) => ({ ...z, zone_code: normalizeZoneCode(z.zone_code) }))
+          .filter((z) => isZoneCode(z.zone_code))
+          .map((z) => ({
+            zone_code: z.zone_code,
+            zone_libelle: z.zone_libelle || null,
+            type_zone: zoneType(z.zone_code),
+            stecal: false,
+          }));
+        if (MAX_DISCOVERED_ZONES > 0) discoveredZones = discoveredZones.slice(0, MAX_DISCOVERED_ZONES);
+        plu_version_label = plu_version_label || discovery.plu_version_label;
+        meta.used_discovery = "llm";
+        console.log(`[PLU-PARSER] LLM discovered ${discoveredZones.length} zones`);
+      } catch (err) {
+        console.error("[PLU-PARSER] LLM discovery error:", err.message);
+        warnings.push("LLM_DISCOVERY_FAILED");
+      }
+    }
+
+    meta.zones_detected = discoveredZones.length;
+
+    const discoveredCodes = discoveredZones.map((z) => z.zone_code);
+    discoveredZones = discoveredZones.map((z) => ({
+      ...z,
+      parent_zone_code: resolveParentZone(z.zone_code, discoveredCodes, fullText),
+    }));
+
+    // 5️⃣ Determine zones to process
+    let zonesToProcess = [];
+
+    if (isTargetZoneMode) {
+      // TARGET ZONE MODE: only process the target zone
+      // Exact match first: UAa and UAA may both exist
+      const foundInDiscovery =
+        discoveredZones.find((z) => z.zone_code === targetZoneCode) ||
+        discoveredZones.find((z) => z.zone_code.toUpperCase() === targetZoneCode.toUpperCase());
+
+      if (foundInDiscovery) {
+        meta.target_zone_found_in_discovery = true;
+        zonesToProcess = [foundInDiscovery];
+        console.log(`[PLU-PARSER] 🎯 Target zone ${targetZoneCode} FOUND in discovery`);
+      } else {
+        // Target zone not found in discovery, but we still try to extract it
+        meta.target_zone_found_in_discovery = false;
+        zonesToProcess = [{
+          zone_code: targetZoneCode,
+          zone_libelle: findZoneChapter(fullText, targetZoneCode)?.libelle ?? null,
+          type_zone: zoneType(targetZoneCode),
+          stecal: false,
+          parent_zone_code: resolveParentZone(targetZoneCode, discoveredCodes, fullText),
+        }];
+        console.log(`[PLU-PARSER] 🎯 Target zone ${targetZoneCode} NOT in discovery, attempting extraction anyway`);
+        warnings.push(`TARGET_ZONE_NOT_IN_DISCOVERY: ${targetZoneCode}`);
+      }
+    } else {
+      // STANDARD MODE: process all discovered zones (up to maxZones)
+      if (discoveredZones.length === 0) {
+        return {
+          status: 200,
+          payload: {
+            success: false,
+            error: "NO_ZONES_FOUND",
+            commune_insee,
+            commune_nom: commune_nom || null,
+            plu_version_label,
+            source_document,
+            zones_rulesets: [],
+            meta: { ...meta, warnings },
+          },
+        };
+      }
+
+      zonesToProcess = discoveredZones;
+
+      if (maxZones > 0 && zonesToProcess.length > maxZones) {
+        warnings.push(`ZONES_TRUNCATED: ${zonesToProcess.length} detected, processing first ${maxZones}`);
+        zonesToProcess = zonesToProcess.slice(0, maxZones);
+      }
+    }
+
+    hooks.onZonesPlanned?.({ zones_detected: meta.zones_detected, zones_to_process: zonesToProcess.map((z) => z.zone_code) });
+
+    // 6️⃣ Process zones
+    const zones_rulesets = [];
+    const docsHash = documentsHash(sourceDocs);
+    const textHash = sha256(fullText);
+
+    // Rulesets as extracted (before storey height), reused as sector parents
+    const extractedRulesets = new Map();
+
+    const pushZone = (entry) => {
+      applyStoreyHeight(entry.ruleset, storeyHeight);
+      zones_rulesets.push(entry);
+      hooks.onZoneDone?.(entry);
+    };
+
+    const crossCheck = (rawRuleset, zone_code, zone_libelle, excerpts) =>
+      backend.usesLLM
+        ? crossCheckRuleset(rawRuleset, extractZoneRulesRegex(zone_code, zone_libelle, excerpts))
+        : crossCheckRuleset(null, rawRuleset);
+
+    const cachedRuleset = async (zone_code, cacheKey) => {
+      const cached = forceRefresh ? null : await cacheGet(cacheKey);
+      if (cached) {
+        console.log(`[PLU-PARSER] Zone ${zone_code} served from cache`);
+        meta.cache.ruleset_hits.push(zone_code);
+        meta.field_warnings.push(...collectFieldConflicts(zone_code, cached), ...collectFieldErrors(zone_code, cached));
+        return cached;
+      }
+      meta.cache.ruleset_misses.push(zone_code);
+      return null;
+    };
+
+    // Rulesets read from a text missing its OCR'd pages are not kept
+    const storeRuleset = async (cacheKey, ruleset) => {
+      if (!loaded.ocrIncomplete) await cacheSet(cacheKey, ruleset, CACHE_RULESET_TTL_MS);
+    };
+
+    const recordConflicts = (zone_code, ruleset) => {
+      const conflicts = collectFieldConflicts(zone_code, ruleset);
+      if (conflicts.length > 0) {
+        console.log(`[PLU-PARSER] Zone ${zone_code}: ${conflicts.length} LLM/regex conflict(s)`);
+      }
+      const invalid = collectFieldErrors(zone_code, ruleset);
+      if (invalid.length > 0) {
+        console.log(`[PLU-PARSER] Zone ${zone_code}: ${invalid.length} invalid field(s) set to null`);
+      }
+      meta.field_warnings.push(...conflicts, ...invalid);
+    };
+
+    // Titre I, extracted once and merged into every zone as defaults
+    const extractGeneralRuleset = async () => {
+      const provisions = findGeneralProvisions(fullText);
+      if (!provisions) return null;
+
+      const first = pageAtOrBefore(pageIndex, provisions.start);
+      const last = pageAtOrBefore(pageIndex, provisions.end - 1);
+      meta.general_provisions = {
+        heading: provisions.heading,
+        document_index: first ? first.document_index : null,
+        page_start: first ? first.page : null,
+        page_end: last ? last.page : null,
+        extracted: false,
+      };
+
+      const cacheKey = rulesetCacheKey(textHash, GENERAL_PROVISIONS_CODE, backend);
+      let ruleset = await cachedRuleset(GENERAL_PROVISIONS_CODE, cacheKey);
+      if (!ruleset) {
+        const excerpts = buildGeneralExcerpts(fullText, provisions);
+        const rawRuleset = await backend.extractZoneRules(GENERAL_PROVISIONS_CODE, provisions.heading, excerpts, meta.llm_usage);
+        ruleset = postProcessZoneRuleset(rawRuleset, GENERAL_PROVISIONS_CODE, provisions.heading);
+        attachProvenance(ruleset, excerpts, fullText, pageIndex);
+        recordConflicts(GENERAL_PROVISIONS_CODE, ruleset);
+        await storeRuleset(cacheKey, ruleset);
+      }
+      meta.general_provisions.extracted = true;
+      console.log(`[PLU-PARSER] 📘 Dispositions générales extracted (${provisions.heading})`);
+      return ruleset;
+    };
+
+    let generalRuleset = null;
+    try {
+      generalRuleset = await extractGeneralRuleset();
+    } catch (err) {
+      console.error("[PLU-PARSER] Dispositions générales error:", err.message);
+      warnings.push("GENERAL_PROVISIONS_FAILED");
+    }
+
+    const extractZoneRuleset = async (zone_code, zone_libelle) => {
+      if (extractedRulesets.has(zone_code)) {
+        return structuredClone(extractedRulesets.get(zone_code));
+      }
+
+      const cacheKey = rulesetCacheKey(textHash, zone_code, backend);
+      let ruleset = await cachedRuleset(zone_code, cacheKey);
+      if (!ruleset) {
+        // Build excerpts
+        const excerpts = buildZoneExcerpts(fullText, zone_code, reglementStructure);
+
+        // Log excerpt lengths for target zone mode
+        if (isTargetZoneMode) {
+          console.log(`[PLU-PARSER] 🎯 Excerpts for ${zone_code}:`);
+          console.log(`  - Article 6: ${excerpts.extrait_article_6.length} chars`);
+          console.log(`  - Article 7: ${excerpts.extrait_article_7.length} chars`);
+          console.log(`  - Article 12: ${excerpts.extrait_article_12.length} chars`);
+          console.log(`  - Article 9: ${excerpts.extrait_article_9.length} chars`);
+          console.log(`  - Article 10: ${excerpts.extrait_article_10.length} chars`);
+          console.log(`  - Article 13: ${excerpts.extrait_article_13.length} chars`);
+          console.log(`  - Fallback: ${excerpts.fallback_context.length} chars`);
+        }
+
+        // Extraction (LLM or regex-only backend)
+        const rawRuleset = await backend.extractZoneRules(zone_code, zone_libelle, excerpts, meta.llm_usage);
+
+        // Post-process
+        ruleset = postProcessZoneRuleset(rawRuleset, zone_code, zone_libelle);
+        attachProvenance(ruleset, excerpts, fullText, pageIndex);
+
+        // Second opinion: regex extractors on the same excerpts
+        ruleset.confidence = crossCheck(rawRuleset, zone_code, zone_libelle, excerpts);
+        recordConflicts(zone_code, ruleset);
+        await storeRuleset(cacheKey, ruleset);
+      }
+
+      // Merged after the cache: the zone's own ruleset does not depend on Titre I
+      ruleset = applyGeneralProvisions(ruleset, generalRuleset);
+      extractedRulesets.set(zone_code, structuredClone(ruleset));
+      return ruleset;
+    };
+
+    const extractSectorRuleset = async (zone_code, zone_libelle, parent_zone_code) => {
+      const cacheKey = rulesetCacheKey(textHash, zone_code, backend);
+      const cached = await cachedRuleset(zone_code, cacheKey);
+      if (cached) return cached;
+
+      const parentRuleset = await extractZoneRuleset(parent_zone_code, null);
+
+      const parentExcerpts = buildZoneExcerpts(fullText, parent_zone_code, reglementStructure);
+      const excerpts = buildSectorExcerpts(parentExcerpts, zone_code);
+      const rawOverride = await backend.extractZoneRules(zone_code, zone_libelle, excerpts, meta.llm_usage);
+
+      const override = postProcessZoneRuleset(rawOverride, zone_code, zone_libelle);
+      // Sector clauses are quoted from the parent's articles
+      attachProvenance(override, parentExcerpts, fullText, pageIndex);
+      override.confidence = crossCheck(rawOverride, zone_code, zone_libelle, excerpts);
+
+      const ruleset = applySectorOverrides(parentRuleset, override);
+      console.log(`[PLU-PARSER] Sector ${zone_code} of ${parent_zone_code}: ${ruleset.overridden_fields.length} overridden field(s)`);
+      recordConflicts(zone_code, ruleset);
+      await storeRuleset(cacheKey, ruleset);
+      return ruleset;
+    };
+
+    for (const zoneInfo of zonesToProcess) {
+      if (hooks.signal?.aborted) {
+        throw new ParseCancelledError();
+      }
+
+      const { zone_code, zone_libelle, parent_zone_code = null, type_zone = zoneType(zone_code), stecal = false } = zoneInfo;
+      console.log(`[PLU-PARSER] Processing zone ${zone_code}...`);
+
+      try {
+        const ruleset = parent_zone_code
+          ? await extractSectorRuleset(zone_code, zone_libelle, parent_zone_code)
+          : await extractZoneRuleset(zone_code, zone_libelle);
+
+        if (!hooks.skipCommuneCache) {
+          await cacheSet(
+            communeZoneCacheKey(commune_insee, zone_code),
+            { ruleset, plu_version_label, documents_sha256: docsHash, stored_at: new Date().toISOString() },
+            CACHE_RULESET_TTL_MS,
+          );
+        }
+
+        pushZone({
+          zone_code,
+          zone_libelle: ruleset.zone_libelle,
+          parent_zone_code,
+          type_zone,
+          stecal,
+          ruleset,
+        });
+
+        meta.zones_processed++;
+      } catch (err) {
+        console.error(`[PLU-PARSER] Zone ${zone_code} LLM error:`, err.message);
+        warnings.push(`ZONE_${zone_code}_LLM_FAILED`);
+
+        // Add a failed zone with null values
+        pushZone({
+          zone_code,
+          zone_libelle: zone_libelle || null,
+          parent_zone_code,
+          type_zone,
+          stecal,
+          ruleset: failedZoneRuleset(zone_code, zone_libelle),
+        });
+      }
+    }
+
+    meta.warnings = warnings;
+
+    // 7️⃣ Return result
+    const success = zones_rulesets.some(
+      (z) => z.ruleset && !z.ruleset.reculs?.voirie?.note?.includes("LLM_FAILED")
+    );
+
+    return {
+      status: 200,
+      payload: {
+        success,
+        commune_insee,
+        commune_nom: commune_nom || null,
+        plu_version_label,
+        source_document,
+        zones_rulesets,
+        meta,
+      },
+    };
+  } finally {
+    unpinTextAnalysis(fullText);
+  }
+}
+
+app.post("/api/plu-parse", requireClient({ zones: true }), parseDocumentJson, handleUpload, async (req, res) => {
+  try {
+    const { client } = req;
+    const body = req.body || {};
+    const reserved = reserveZones(client, body);
+    if (reserved === null) {
+      return res.status(429).json(quotaExceeded(client));
+    }
+    try {
+      const { status, payload } = await runPluParse(body, req.files);
+      recordParseUsage(client.name, payload.meta);
+      return res.status(status).json(payload);
+    } finally {
+      releaseZones(client.name, reserved);
+    }
+  } catch (err) {
+    console.error("[PLU-PARSER] Unexpected error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "PLU_PARSER_INTERNAL_ERROR",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ASYNC JOBS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * POST /api/plu-parse/jobs             same body as /api/plu-parse (+ callback_url) → 202 { job_id }
+ * GET  /api/plu-parse/jobs/:id         status, per-zone progress, partial zones_rulesets, final result
+ * POST /api/plu-parse/jobs/:id/cancel  queued jobs are dropped, running jobs stop before the next zone
+ * Jobs live in memory: they are lost on restart and purged JOBS_RETENTION_MS after completion.
+ * Queued jobs hold their documents until they start: at most JOBS_MAX_QUEUED jobs
+ * and JOBS_MAX_QUEUED_BYTES of documents wait at once.
+ */
+
+const JOB_STATUSES_FINAL = ["succeeded", "failed", "cancelled"];
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+let queuedInputBytes = 0;
+
+// Drops the request body and uploaded buffers held for a queued job
+function releaseJobInput(job) {
+  if (!job.input) return;
+  queuedInputBytes -= job.input.bytes;
+  job.input = null;
+}
+
+/*
+ * Callbacks get the same address checks as PDF downloads (literal IPs here,
+ * resolved addresses in the socket's DNS lookup; PLU_PDF_ALLOW_PRIVATE_HOSTS
+ * lifts both) but not the PDF host allowlist. Redirects are not followed.
+ */
+function isValidCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return false;
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  return PDF_ALLOW_PRIVATE_HOSTS || !isBlockedAddress(hostname);
+}
+
+function postCallback(value, payload) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.request(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", "content-length": Buffer.byteLength(payload) },
+      lookup: PDF_ALLOW_PRIVATE_HOSTS ? undefined : publicOnlyLookup,
+      signal: AbortSignal.timeout(15000),
+    });
+    req.on("error", reject);
+    req.on("response", (res) => {
+      res.resume();
+      // A redirect is a failed delivery
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject(new Error(`HTTP ${res.statusCode}`));
+    });
+    req.end(payload);
+  });
+}
+
+function jobView(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    commune_insee: job.commune_insee,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    progress: {
+      zones_detected: job.progress.zones_detected,
+      zones_to_process: job.progress.zones_to_process,
+      zones_done: job.zones_rulesets.length,
+    },
+    zones_rulesets: job.zones_rulesets,
+    result: job.result,
+    error: job.error,
+    callback: job.callback_url ? { url: job.callback_url, ...job.callback } : null,
+  };
+}
+
+async function sendJobCallback(job) {
+  const payload = JSON.stringify({
+    job_id: job.id,
+    status: job.status,
+    error: job.error,
+    result: job.result,
+  });
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    job.callback.attempts = attempt;
+    try {
+      await postCallback(job.callback_url, payload);
+      job.callback.status = "delivered";
+      job.callback.last_error = null;
+      return;
+    } catch (err) {
+      job.callback.last_error = err.message;
+      console.error(`[PLU-PARSER] Job ${job.id} callback attempt ${attempt} failed:`, err.message);
+      if (err.code === "PDF_ADDRESS_BLOCKED") break;
+      if (attempt < 3) await new Promise((r) => setTimeout(r, 2000 * 2 ** (attempt - 1)));
+    }
+  }
+  job.callback.status = "failed";
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.result = result;
+  job.error = error;
+  job.finished_at = new Date().toISOString();
+  // Release uploaded PDF buffers and the zones held against the quota
+  releaseJobInput(job);
+  releaseZones(job.client_name, job.zones_reserved);
+  job.zones_reserved = 0;
+  console.log(`[PLU-PARSER] Job ${job.id} ${status}`);
+
+  if (job.callback_url) {
+    sendJobCallback(job).catch((err) => console.error(`[PLU-PARSER] Job ${job.id} callback error:`, err.message));
+  }
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.started_at = new Date().toISOString();
+
+  // The parse keeps its own references to the documents until it is done
+  const { body, files } = job.input;
+  releaseJobInput(job);
+
+  try {
+    const { status, payload } = await runPluParse(body, files, {
+      signal: job.controller.signal,
+      llmUsage: job.llm_usage,
+      onZonesPlanned: ({ zones_detected, zones_to_process }) => {
+        job.progress.zones_detected = zones_detected;
+        job.progress.zones_to_process = zones_to_process.length;
+      },
+      onZoneDone: (entry) => {
+        job.zones_rulesets.push(entry);
+      },
+    });
+    recordParseUsage(job.client_name, payload.meta);
+
+    if (status === 200 && payload.success) {
+      finishJob(job, "succeeded", { result: payload });
+    } else {
+      finishJob(job, "failed", { result: payload, error: payload.error || "PARSE_FAILED" });
+    }
+  } catch (err) {
+    if (err instanceof ParseCancelledError) {
+      // Zones done before the cancellation were paid for
+      recordParseUsage(job.client_name, { zones_processed: job.zones_rulesets.length, llm_usage: job.llm_usage });
+      finishJob(job, "cancelled", { error: err.code });
+      return;
+    }
+    console.error(`[PLU-PARSER] Job ${job.id} unexpected error:`, err);
+    finishJob(job, "failed", { error: "PLU_PARSER_INTERNAL_ERROR" });
+  }
+}
+
+function pumpJobQueue() {
+  while (runningJobs < JOBS_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    if (job.status !== "queued") continue;
+    runningJobs++;
+    runJob(job).finally(() => {
+      runningJobs--;
+      pumpJobQueue();
+    });
+  }
+}
+
+function purgeFinishedJobs() {
+  const cutoff = Date.now() - JOBS_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (JOB_STATUSES_FINAL.includes(job.status) && Date.parse(job.finished_at) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(purgeFinishedJobs, 10 * 60 * 1000).unref();
+
+app.post("/api/plu-parse/jobs", requireClient({ zones: true }), parseDocumentJson, handleUpload, (req, res) => {
+  const { client } = req;
+
+  const body = req.body || {};
+
+  // Validate up-front so that obvious mistakes fail synchronously
+  let sourceDocs;
+  try {
+    sourceDocs = resolveSourceDocuments(body, req.files);
+  } catch (err) {
+    if (err instanceof SourceDocumentError) {
+      return res.status(400).json({ success: false, error: err.code, message: err.message });
+    }
+    throw err;
+  }
+  if (!body.commune_insee || sourceDocs.length === 0) {
+    return res.status(400).json({ success: false, error: "MISSING_PARAMS" });
+  }
+  if (body.callback_url && !isValidCallbackUrl(body.callback_url)) {
+    return res.status(400).json({ success: false, error: "INVALID_CALLBACK_URL" });
+  }
+  if (jobQueue.length >= JOBS_MAX_QUEUED) {
+    return res.status(429).json({ success: false, error: "JOB_QUEUE_FULL" });
+  }
+  // A single job larger than the cap is still accepted by an empty queue
+  const inputBytes = sourceDocs.reduce((sum, doc) => sum + (doc.buffer?.length || 0), 0);
+  if (queuedInputBytes > 0 && queuedInputBytes + inputBytes > JOBS_MAX_QUEUED_BYTES) {
+    return res.status(429).json({ success: false, error: "JOB_QUEUE_FULL", message: "Too many queued documents, retry later" });
+  }
+  // Held from now on: usage is only recorded when the job finishes
+  const zonesReserved = reserveZones(client, body);
+  if (zonesReserved === null) {
+    return res.status(429).json(quotaExceeded(client));
+  }
+
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    commune_insee: body.commune_insee,
+    client_name: client.name,
+    zones_reserved: zonesReserved,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    progress: { zones_detected: null, zones_to_process: null },
+    zones_rulesets: [],
+    result: null,
+    error: null,
+    callback_url: body.callback_url || null,
+    callback: { status: "pending", attempts: 0, last_error: null },
+    controller: new AbortController(),
+    llm_usage: { calls: 0, prompt_tokens: 0, completion_tokens: 0 },
+    input: { body, files: req.files, bytes: inputBytes },
+  };
+  queuedInputBytes += inputBytes;
+
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  console.log(`[PLU-PARSER] Job ${job.id} queued (commune ${job.commune_insee}, ${jobQueue.length} in queue)`);
+  pumpJobQueue();
+
+  return res.status(202).json({
+    success: true,
+    job_id: job.id,
+    status: job.status,
+    status_url: `/api/plu-parse/jobs/${job.id}`,
+  });
+});
+
+app.get("/api/plu-parse/jobs/:id", requireClient(), (req, res) => {
+  const { client } = req;
+
+  // Other clients' jobs are not visible
+  const job = jobs.get(req.params.id);
+  if (!job || (job.client_name !== client.name && !client.admin)) {
+    return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+  }
+  return res.json({ success: true, ...jobView(job) });
+});
+
+app.post("/api/plu-parse/jobs/:id/cancel", requireClient(), (req, res) => {
+  const { client } = req;
+
+  // Other clients' jobs are not visible
+  const job = jobs.get(req.params.id);
+  if (!job || (job.client_name !== client.name && !client.admin)) {
+    return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+  }
+  if (JOB_STATUSES_FINAL.includes(job.status)) {
+    return res.status(409).json({ success: false, error: "JOB_ALREADY_FINISHED", status: job.status });
+  }
+
+  job.controller.abort();
+  if (job.status === "queued") {
+    finishJob(job, "cancelled", { error: "CANCELLED" });
+  }
+  // Running jobs stop before their next zone; status flips to "cancelled" then
+  return res.json({ success: true, ...jobView(job) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PLU DIFF
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Compares two versions of a commune's PLU (before / after a modification or
+ * révision). Each side is either source documents, parsed here, or the payload
+ * of an earlier /api/plu-parse call.
+ */
+
+// Compared fields, with the section whose note explains the value
+const DIFF_FIELDS = [
+  { path: "reculs.voirie.regle", note: "reculs.voirie" },
+  { path: "reculs.voirie.min_m", note: "reculs.voirie" },
+  { path: "reculs.limites_separatives.regle", note: "reculs.limites_separatives" },
+  { path: "reculs.limites_separatives.min_m", note: "reculs.limites_separatives" },
+  { path: "reculs.fond_parcelle.regle", note: "reculs.fond_parcelle" },
+  { path: "reculs.fond_parcelle.min_m", note: "reculs.fond_parcelle" },
+  { path: "reculs.implantation_en_limite.autorisee", note: "reculs.implantation_en_limite" },
+  { path: "hauteur.hauteur_max_m", note: "hauteur" },
+  { path: "hauteur.hauteur_egout_m", note: "hauteur" },
+  { path: "hauteur.hauteur_acrotere_m", note: "hauteur" },
+  { path: "hauteur.hauteur_faitage_m", note: "hauteur" },
+  { path: "hauteur.niveaux_max.label", note: "hauteur" },
+  { path: "hauteur.hauteur_relative", note: "hauteur.hauteur_relative" },
+  { path: "emprise_sol.emprise_sol_max", note: "emprise_sol" },
+  { path: "espaces_verts.espaces_verts_min", note: "espaces_verts" },
+  { path: "espaces_verts.pleine_terre_min", note: "espaces_verts" },
+  { path: "espaces_verts.coefficient_biotope", note: "espaces_verts" },
+  { path: "espaces_verts.plantations", note: "espaces_verts" },
+  { path: "stationnement.places_par_logement", note: "stationnement" },
+  { path: "stationnement.surface_par_place_m2", note: "stationnement" },
+  { path: "stationnement.places_par_100m2", note: "stationnement" },
+  { path: "stationnement.destinations", note: "stationnement" },
+  { path: "stationnement.velo", note: "stationnement.velo" },
+  { path: "stationnement.reductions_transport", note: "stationnement" },
+];
+
+/**
+ * Value without the wording-dependent parts (notes, provenance), so that a
+ * reworded but identical rule does not show up as a change.
+ */
+function comparableValue(value) {
+  if (Array.isArray(value)) return value.map(comparableValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== "note" && key !== "provenance")
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, v]) => [key, comparableValue(v)]),
+    );
+  }
+  return typeof value === "number" ? Math.round(value * 1e6) / 1e6 : value;
+}
+
+function diffRulesets(before, after) {
+  const changes = [];
+  for (const { path, note } of DIFF_FIELDS) {
+    const oldValue = comparableValue(getPath(before, path));
+    const newValue = comparableValue(getPath(after, path));
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    changes.push({
+      field: path,
+      old_value: oldValue,
+      new_value: newValue,
+      old_note: getPath(before, note)?.note ?? null,
+      new_note: getPath(after, note)?.note ?? null,
+    });
+  }
+  return changes;
+}
+
+const isFailedRuleset = (ruleset) => !ruleset || ruleset.reculs?.voirie?.note === "LLM_FAILED";
+
+function diffParseResults(before, after) {
+  const index = (result) => new Map((result.zones_rulesets || []).map((z) => [z.zone_code, z]));
+  const beforeZones = index(before);
+  const afterZones = index(after);
+
+  const zones_changed = [];
+  const zones_unchanged = [];
+  const zones_not_compared = [];
+
+  // A zone missing from a truncated side may simply not have been processed
+  const truncated = [before, after].some((result) => (result.meta?.warnings || []).some((w) => String(w).startsWith("ZONES_TRUNCATED")));
+  const zones_added = [...afterZones.keys()].filter((code) => !beforeZones.has(code));
+  const zones_removed = [...beforeZones.keys()].filter((code) => !afterZones.has(code));
+  if (truncated) {
+    zones_not_compared.push(...zones_added.splice(0), ...zones_removed.splice(0));
+  }
+
+  for (const [code, afterZone] of afterZones) {
+    const beforeZone = beforeZones.get(code);
+    if (!beforeZone) continue;
+    // A failed extraction is not a rule change
+    if (isFailedRuleset(beforeZone.ruleset) || isFailedRuleset(afterZone.ruleset)) {
+      zones_not_compared.push(code);
+      continue;
+    }
+    const changes = diffRulesets(beforeZone.ruleset, afterZone.ruleset);
+    if (changes.length > 0) {
+      zones_changed.push({ zone_code: code, zone_libelle: afterZone.zone_libelle ?? beforeZone.zone_libelle ?? null, changes });
+    } else {
+      zones_unchanged.push(code);
+    }
+  }
+
+  return { zones_added, zones_removed, zones_changed, zones_unchanged, zones_not_compared };
+}
+
+/**
+ * Parse result of one side: the given payload, or a fresh parse of its documents.
+ * Returns { result } or an error { status, payload }.
+ */
+async function resolveDiffSide(name, side, body, client) {
+  if (!side || typeof side !== "object") {
+    return { status: 400, payload: { success: false, error: "MISSING_PARAMS", message: `${name} is required` } };
+  }
+
+  if (side.result) {
+    const result = side.result;
+    if (!Array.isArray(result.zones_rulesets)) {
+      return { status: 400, payload: { success: false, error: "INVALID_PARSE_RESULT", side: name, message: `${name}.result has no zones_rulesets` } };
+    }
+    if (result.commune_insee && String(result.commune_insee) !== String(body.commune_insee)) {
+      return {
+        status: 400,
+        payload: { success: false, error: "COMMUNE_MISMATCH", side: name, message: `${name}.result is for commune ${result.commune_insee}` },
+      };
+    }
+    return { result };
+  }
+
+  const sideBody = {
+    commune_insee: body.commune_insee,
+    commune_nom: body.commune_nom,
+    target_zone_code: body.target_zone_code,
+    extraction_backend: body.extraction_backend,
+    force_refresh: body.force_refresh,
+    storey_height_m: body.storey_height_m,
+    // Every zone of both sides, bounded only by the quota
+    max_zones: 0,
+    source_pdf_url: side.source_pdf_url,
+    source_pdf_base64: side.source_pdf_base64,
+    source_filename: side.source_filename,
+    documents: side.documents,
+  };
+  // Each side is capped to what is left after the previous one
+  const reserved = reserveZones(client, sideBody);
+  if (reserved === null) {
+    return { status: 429, payload: { ...quotaExceeded(client), side: name } };
+  }
+
+  console.log(`[PLU-PARSER] 🔀 Diff: parsing ${name} side...`);
+  let parsed;
+  try {
+    // Either side may be an older PLU: the commune's latest rulesets are left alone
+    parsed = await runPluParse(sideBody, [], { skipCommuneCache: true });
+    recordParseUsage(client.name, parsed.payload.meta);
+  } finally {
+    releaseZones(client.name, reserved);
+  }
+  const { status, payload } = parsed;
+  if (status !== 200 || !payload.success) {
+    return {
+      status: status === 200 ? 422 : status,
+      payload: { success: false, error: "PLU_DIFF_SIDE_FAILED", side: name, side_error: payload.error ?? null, message: payload.message ?? null },
+    };
+  }
+  return { result: payload };
+}
+
+/*
+ * POST /api/plu-diff
+ *   { commune_insee, before: {...}, after: {...}, target_zone_code?, extraction_backend?, … }
+ *   side: { source_pdf_url | source_pdf_base64 | documents } or { result: <plu-parse payload> }
+ */
+app.post("/api/plu-diff", requireClient({ zones: true }), parseDocumentJson, async (req, res) => {
+  const { client } = req;
+
+  const body = req.body || {};
+  if (!body.commune_insee) {
+    return res.status(400).json({ success: false, error: "MISSING_PARAMS", message: "commune_insee is required" });
+  }
+
+  try {
+    const sides = {};
+    for (const name of ["before", "after"]) {
+      const resolved = await resolveDiffSide(name, body[name], body, client);
+      if (resolved.payload) {
+        return res.status(resolved.status).json(resolved.payload);
+      }
+      sides[name] = resolved.result;
+    }
+
+    const diff = diffParseResults(sides.before, sides.after);
+    const changed = diff.zones_added.length > 0 || diff.zones_removed.length > 0 || diff.zones_changed.length > 0;
+    console.log(
+      `[PLU-PARSER] 🔀 Diff ${body.commune_insee}: +${diff.zones_added.length} -${diff.zones_removed.length} ~${diff.zones_changed.length} zones`,
+    );
+
+    return res.json({
+      success: true,
+      commune_insee: body.commune_insee,
+      commune_nom: body.commune_nom || sides.after.commune_nom || null,
+      plu_version_label: {
+        before: sides.before.plu_version_label ?? null,
+        after: sides.after.plu_version_label ?? null,
+      },
+      changed,
+      ...diff,
+    });
+  } catch (err) {
+    console.error("[PLU-PARSER] Diff error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "PLU_PARSER_INTERNAL_ERROR",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTRUCTIBILITY ENVELOPE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Maximum envelope of a parcel under a zone ruleset. The parcel polygon is in
+ * local metric coordinates; edge i joins polygon[i] to polygon[i + 1] and is a
+ * road frontage, a separative limit (default) or the rear limit.
+ *
+ * The footprint is the parcel clipped by one half-plane per edge, moved inwards
+ * by that edge's setback. This is exact for convex parcels and conservative for
+ * concave ones (a reflex edge's half-plane also cuts valid area).
+ */
+
+class ConstructibilityError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+function polygonSignedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function isConvexPolygon(points) {
+  let sign = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[(i + 1) % points.length];
+    const [cx, cy] = points[(i + 2) % points.length];
+    const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+    if (Math.abs(cross) < 1e-9) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+/**
+ * Sutherland–Hodgman step: keep the part of the polygon on the side of the
+ * line (a → b) where side(p) >= 0.
+ */
+function clipPolygon(points, a, b, orientation) {
+  const side = ([x, y]) => orientation * ((b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]));
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    const sc = side(current);
+    const sn = side(next);
+    if (sc >= 0) result.push(current);
+    if ((sc >= 0) !== (sn >= 0)) {
+      const t = sc / (sc - sn);
+      result.push([current[0] + t * (next[0] - current[0]), current[1] + t * (next[1] - current[1])]);
+    }
+  }
+  return result;
+}
+
+function parsePolygon(raw) {
+  if (!Array.isArray(raw) || raw.length < 3) return null;
+  const points = raw.map((p) => (Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [Number(p?.x), Number(p?.y)]));
+  if (points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y))) return null;
+  // Closed rings repeat the first vertex
+  const [fx, fy] = points[0];
+  const [lx, ly] = points[points.length - 1];
+  if (fx === lx && fy === ly) points.pop();
+  return points.length >= 3 ? points : null;
+}
+
+/**
+ * { polygon, area_m2, edge_types[] } from the request parcel, or throws INVALID_PARCEL.
+ */
+function parseParcel(parcel) {
+  if (!parcel || typeof parcel !== "object") {
+    throw new ConstructibilityError("INVALID_PARCEL", "parcel is required");
+  }
+  const polygon = parsePolygon(parcel.polygon);
+  if (!polygon) {
+    throw new ConstructibilityError("INVALID_PARCEL", "parcel.polygon must list at least 3 [x, y] points in metres");
+  }
+  const polygonArea = Math.abs(polygonSignedArea(polygon));
+  if (polygonArea < 1) {
+    throw new ConstructibilityError("INVALID_PARCEL", "parcel.polygon has no area");
+  }
+
+  const edgeTypes = polygon.map(() => "LIMITE_SEPARATIVE");
+  const assigned = new Set();
+  for (const [field, type] of [["road_edges", "VOIRIE"], ["separative_edges", "LIMITE_SEPARATIVE"], ["rear_edges", "FOND_PARCELLE"]]) {
+    const edges = parcel[field] ?? [];
+    if (!Array.isArray(edges)) {
+      throw new ConstructibilityError("INVALID_PARCEL", `parcel.${field} must be an array of edge indices`);
+    }
+    for (const edge of edges) {
+      if (!Number.isInteger(edge) || edge < 0 || edge >= polygon.length) {
+        throw new ConstructibilityError("INVALID_PARCEL", `parcel.${field}: edge ${edge} does not exist (0..${polygon.length - 1})`);
+      }
+      if (assigned.has(edge)) {
+        throw new ConstructibilityError("INVALID_PARCEL", `parcel edge ${edge} is listed twice`);
+      }
+      assigned.add(edge);
+      edgeTypes[edge] = type;
+    }
+  }
+  if (!edgeTypes.includes("VOIRIE")) {
+    throw new ConstructibilityError("INVALID_PARCEL", "parcel.road_edges must list at least one road frontage edge");
+  }
+
+  let area = polygonArea;
+  if (parcel.area_m2 !== undefined && parcel.area_m2 !== null) {
+    area = Number(parcel.area_m2);
+    if (!(area > 0)) {
+      throw new ConstructibilityError("INVALID_PARCEL", "parcel.area_m2 must be a positive number");
+    }
+  }
+
+  return { polygon, polygon_area_m2: polygonArea, area_m2: area, edge_types: edgeTypes };
+}
+
+/**
+ * Setback distance of one recul rule. H/2 rules use the maximum height, which
+ * gives the setback of a building built to that height.
+ */
+function resolveSetback(recul, hauteurMax) {
+  const regle = recul?.regle ?? null;
+  const minM = recul?.min_m ?? null;
+  const halfHeight = hauteurMax === null ? null : hauteurMax / 2;
+
+  if (regle === "H_OVER_2" && halfHeight !== null) return { regle, distance_m: halfHeight, known: true };
+  if (regle === "H_OVER_2_MIN" && halfHeight !== null) return { regle, distance_m: Math.max(halfHeight, minM ?? 0), known: true };
+  if (minM !== null) return { regle: regle ?? "FIXED", distance_m: minM, known: regle === "FIXED" || regle === null };
+  return { regle, distance_m: 0, known: false };
+}
+
+function computeConstructibility(sourceRuleset, parcelInput, options = {}) {
+  const storeyHeight = options.storey_height_m ?? DEFAULT_STOREY_HEIGHT_M;
+  const sdpRatio = options.surface_plancher_ratio ?? DEFAULT_SURFACE_PLANCHER_RATIO;
+  const ruleset = applyStoreyHeight(structuredClone(sourceRuleset), storeyHeight);
+  const parcel = parseParcel(parcelInput);
+  const warnings = [];
+
+  const hauteur = ruleset.hauteur || {};
+  const hauteurMax = hauteur.hauteur_max_m ?? null;
+  const reculs = ruleset.reculs || {};
+  const enLimite = reculs.implantation_en_limite?.autorisee === true;
+
+  // 1. Setbacks per edge
+  const setbacks = parcel.edge_types.map((type, edge) => {
+    let setback;
+    if (type === "VOIRIE") {
+      setback = resolveSetback(reculs.voirie, hauteurMax);
+    } else if (enLimite) {
+      // Building on the limit is allowed: the largest envelope uses it
+      setback = { regle: "EN_LIMITE", distance_m: 0, known: true };
+    } else if (type === "FOND_PARCELLE" && (reculs.fond_parcelle?.regle || (reculs.fond_parcelle?.min_m ?? null) !== null)) {
+      setback = resolveSetback(reculs.fond_parcelle, hauteurMax);
     } else {
-      // STANDARD MODE: process all discovered zones (up to 12)
-      if (discoveredZones.length === 0) {
-        return res.status(200).json({
+      setback = resolveSetback(reculs.limites_separatives, hauteurMax);
+    }
+    if (!setback.known) warnings.push(`SETBACK_UNKNOWN: edge ${edge} (${type})`);
+    return { edge, type, regle: setback.regle, distance_m: round2(setback.distance_m), known: setback.known };
+  });
+
+  // 2. Footprint allowed by the setbacks
+  const orientation = Math.sign(polygonSignedArea(parcel.polygon));
+  let footprint = parcel.polygon;
+  parcel.polygon.forEach((a, i) => {
+    const b = parcel.polygon[(i + 1) % parcel.polygon.length];
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (length === 0 || footprint.length === 0) return;
+    // Inward normal of edge a → b
+    const d = setbacks[i].distance_m;
+    const nx = (-orientation * (b[1] - a[1]) * d) / length;
+    const ny = (orientation * (b[0] - a[0]) * d) / length;
+    footprint = clipPolygon(footprint, [a[0] + nx, a[1] + ny], [b[0] + nx, b[1] + ny], orientation);
+  });
+  const footprintArea = footprint.length >= 3 ? Math.abs(polygonSignedArea(footprint)) : 0;
+  const convex = isConvexPolygon(parcel.polygon);
+  if (!convex) warnings.push("NON_CONVEX_PARCEL: footprint is a conservative approximation");
+
+  // 3. Emprise: the smallest of the setback footprint and the ratio limits
+  const empriseConstraints = [{ rule: "RECULS", ratio: null, max_m2: footprintArea }];
+  const empriseMax = ruleset.emprise_sol?.emprise_sol_max ?? null;
+  if (empriseMax !== null) {
+    empriseConstraints.push({ rule: "EMPRISE_SOL", ratio: empriseMax, max_m2: empriseMax * parcel.area_m2 });
+  } else {
+    warnings.push("EMPRISE_SOL_UNKNOWN");
+  }
+  const pleineTerre = ruleset.espaces_verts?.pleine_terre_min ?? null;
+  if (pleineTerre !== null) {
+    empriseConstraints.push({ rule: "PLEINE_TERRE", ratio: pleineTerre, max_m2: (1 - pleineTerre) * parcel.area_m2 });
+  }
+  const empriseBinding = empriseConstraints.reduce((best, c) => (c.max_m2 < best.max_m2 ? c : best));
+
+  // 4. Levels: from the height limit and from the R+n gabarit, whichever is lower
+  const heightConstraints = [];
+  if (hauteurMax !== null) {
+    heightConstraints.push({ rule: "HAUTEUR_MAX", niveaux: Math.floor(hauteurMax / storeyHeight + 1e-9) });
+  }
+  if (hauteur.niveaux_max) {
+    const { etages, combles, attique } = hauteur.niveaux_max;
+    heightConstraints.push({ rule: "NIVEAUX_MAX", niveaux: 1 + etages + (combles || attique ? 1 : 0) });
+  }
+  const heightBinding = heightConstraints.length
+    ? heightConstraints.reduce((best, c) => (c.niveaux <= best.niveaux ? c : best))
+    : null;
+  if (!heightBinding) warnings.push("HAUTEUR_UNKNOWN: surface de plancher not computed");
+
+  const empriseM2 = empriseBinding.max_m2;
+  const niveaux = heightBinding ? Math.max(heightBinding.niveaux, 0) : null;
+  const surfacePlancher = niveaux === null ? null : empriseM2 * niveaux * sdpRatio;
+
+  return {
+    zone_code: ruleset.zone_code ?? null,
+    parcel: {
+      area_m2: round2(parcel.area_m2),
+      polygon_area_m2: round2(parcel.polygon_area_m2),
+      convex,
+    },
+    setbacks,
+    footprint: {
+      polygon: footprint.map(([x, y]) => [round2(x), round2(y)]),
+      area_m2: round2(footprintArea),
+    },
+    emprise: {
+      max_m2: round2(empriseM2),
+      binding_constraint: empriseBinding.rule,
+      constraints: empriseConstraints.map((c) => ({ ...c, max_m2: round2(c.max_m2) })),
+    },
+    hauteur: {
+      hauteur_max_m: hauteurMax,
+      hauteur_max_source: hauteur.hauteur_max_source ?? null,
+      storey_height_m: storeyHeight,
+      niveaux,
+      binding_constraint: heightBinding ? heightBinding.rule : null,
+      constraints: heightConstraints,
+    },
+    surface_plancher: {
+      max_m2: round2(surfacePlancher),
+      ratio: sdpRatio,
+    },
+    // The surface de plancher is emprise × niveaux: both limits set it
+    binding_constraint: {
+      emprise: empriseBinding.rule,
+      hauteur: heightBinding ? heightBinding.rule : null,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Ruleset of a request: given inline, or the latest parsed one of a commune
+ * zone. Returns { ruleset, plu_version_label } or an error { status, payload }.
+ */
+async function resolveRulesetInput(body) {
+  let ruleset = body.ruleset;
+  let plu_version_label = null;
+  if (!ruleset) {
+    const zoneCode = normalizeZoneCode(body.zone_code);
+    if (!body.commune_insee || !zoneCode) {
+      return { status: 400, payload: { success: false, error: "MISSING_PARAMS", message: "ruleset or commune_insee + zone_code required" } };
+    }
+    const stored = await cacheGet(communeZoneCacheKey(body.commune_insee, zoneCode));
+    if (!stored) {
+      return {
+        status: 404,
+        payload: {
           success: false,
-          error: "NO_ZONES_FOUND",
-          commune_insee,
-          commune_nom: commune_nom || null,
-          plu_version_label,
-          source_document: source_pdf_url,
-          zones_rulesets: [],
-          meta: { ...meta, warnings },
-        });
+          error: "RULESET_NOT_FOUND",
+          message: `No parsed ruleset for zone ${zoneCode} of commune ${body.commune_insee}`,
+        },
+      };
+    }
+    ({ ruleset, plu_version_label } = stored);
+  }
+  if (typeof ruleset !== "object" || !ruleset.reculs || !ruleset.hauteur) {
+    return { status: 400, payload: { success: false, error: "INVALID_RULESET", message: "ruleset must have reculs and hauteur" } };
+  }
+  return { ruleset, plu_version_label };
+}
+
+/*
+ * POST /api/constructibility
+ *   { ruleset, parcel }                                   → ruleset as returned by /api/plu-parse
+ *   { commune_insee, zone_code, parcel }                  → latest parsed ruleset of that zone
+ *   parcel: { polygon: [[x, y], …], road_edges: [i], separative_edges: [i], rear_edges: [i], area_m2? }
+ *   storey_height_m?, surface_plancher_ratio?
+ */
+app.post("/api/constructibility", requireClient(), parseJson, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const resolved = await resolveRulesetInput(body);
+    if (resolved.payload) {
+      return res.status(resolved.status).json(resolved.payload);
+    }
+    const { ruleset, plu_version_label } = resolved;
+
+    const options = {};
+    for (const [field, min, max, code] of [
+      ["storey_height_m", 2, 6, "INVALID_STOREY_HEIGHT"],
+      ["surface_plancher_ratio", 0.5, 1, "INVALID_SURFACE_PLANCHER_RATIO"],
+    ]) {
+      if (body[field] === undefined || body[field] === null) continue;
+      const value = Number(body[field]);
+      if (!(value >= min && value <= max)) {
+        return res.status(400).json({ success: false, error: code, message: `${field} must be between ${min} and ${max}` });
       }
+      options[field] = value;
+    }
 
-      zonesToProcess = discoveredZones;
+    const result = computeConstructibility(ruleset, body.parcel, options);
+    console.log(
+      `[PLU-PARSER] Constructibility ${result.zone_code}: emprise ${result.emprise.max_m2} m² (${result.binding_constraint.emprise}), SDP ${result.surface_plancher.max_m2} m² (${result.binding_constraint.hauteur ?? "height unknown"})`,
+    );
+    return res.json({ success: true, plu_version_label, ...result });
+  } catch (err) {
+    if (err instanceof ConstructibilityError) {
+      return res.status(400).json({ success: false, error: err.code, message: err.message });
+    }
+    console.error("[PLU-PARSER] Constructibility error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "PLU_PARSER_INTERNAL_ERROR",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMPLIANCE CHECK
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * One verdict per rule: PASS, FAIL or UNKNOWN with the required and actual
+ * values, the margin (positive = room left) and the ruleset note it comes
+ * from. A rule the ruleset left null is UNKNOWN, never a pass.
+ */
+
+class ComplianceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const PROJECT_NUMBER_FIELDS = [
+  "hauteur_m",
+  "hauteur_egout_m",
+  "hauteur_acrotere_m",
+  "hauteur_faitage_m",
+  "niveaux",
+  "emprise_m2",
+  "parcel_area_m2",
+  "recul_voirie_m",
+  "recul_limites_separatives_m",
+  "recul_fond_parcelle_m",
+  "logements",
+  "logements_sociaux",
+  "chambres",
+  "places_stationnement",
+  "velo_surface_m2",
+  "espaces_verts_m2",
+  "pleine_terre_m2",
+  "coefficient_biotope",
+  "distance_transport_m",
+];
+
+/**
+ * Validated project, or throws INVALID_PROJECT. surface_plancher maps a
+ * parking destination (LOGEMENT, BUREAUX…) to its floor area in m².
+ */
+function parseProject(project) {
+  if (!project || typeof project !== "object") {
+    throw new ComplianceError("INVALID_PROJECT", "project is required");
+  }
+  const parsed = {};
+  for (const field of PROJECT_NUMBER_FIELDS) {
+    const value = project[field];
+    if (value === undefined || value === null) {
+      parsed[field] = null;
+      continue;
+    }
+    if (typeof value !== "number" || !(value >= 0)) {
+      throw new ComplianceError("INVALID_PROJECT", `project.${field} must be a non-negative number`);
+    }
+    parsed[field] = value;
+  }
+
+  parsed.en_limite_separative = project.en_limite_separative === true;
+  parsed.surface_plancher = {};
+  for (const [destination, area] of Object.entries(project.surface_plancher || {})) {
+    if (!PARKING_DESTINATION_CODES.includes(destination) || typeof area !== "number" || !(area >= 0)) {
+      throw new ComplianceError(
+        "INVALID_PROJECT",
+        `project.surface_plancher.${destination}: expected one of ${PARKING_DESTINATION_CODES.join(", ")} with an area in m²`,
+      );
+    }
+    parsed.surface_plancher[destination] = area;
+  }
+  return parsed;
+}
+
+function verdict(rule, { required, actual, unit, note, mode, reason = null }) {
+  const base = { rule, status: "UNKNOWN", required: round2(required), actual: round2(actual), margin: null, unit, note: note ?? null, reason };
+  if (required === null || required === undefined) return { ...base, required: null, reason: reason ?? "RULESET_VALUE_MISSING" };
+  if (actual === null || actual === undefined) return { ...base, actual: null, reason: reason ?? "PROJECT_VALUE_MISSING" };
+
+  // MAX: the project may not exceed the requirement; MIN: it must reach it
+  const margin = mode === "MAX" ? required - actual : actual - required;
+  return { ...base, status: margin >= -1e-9 ? "PASS" : "FAIL", margin: round2(margin) };
+}
+
+/**
+ * Car spaces the ruleset requires for the project, or { required: null, reason }.
+ * Housing requirements are capped near public transport when the project
+ * distance to a station is given.
+ */
+function requiredParking(stationnement, project) {
+  const destinations = new Map((stationnement.destinations || []).map((d) => [d.destination, d]));
+  const logements = project.logements;
+  const sociaux = Math.min(project.logements_sociaux ?? 0, logements ?? 0);
+  const missing = [];
+  let required = 0;
+  let counted = false;
+
+  if (logements !== null && logements > 0) {
+    const libre = destinations.get("LOGEMENT")?.places_par_logement ?? stationnement.places_par_logement;
+    const social = destinations.get("LOGEMENT_SOCIAL")?.places_par_logement ?? libre;
+    const caps = [...(stationnement.reductions_transport || []), ...(stationnement.plafonds_legaux || [])];
+    const capFor = (destination) => {
+      if (project.distance_transport_m === null) return null;
+      const applicable = caps
+        .filter((cap) => cap.places_max_par_logement !== null && (cap.destination === destination || cap.destination === null))
+        .filter((cap) => cap.rayon_m === null || project.distance_transport_m <= cap.rayon_m)
+        .map((cap) => cap.places_max_par_logement);
+      return applicable.length ? Math.min(...applicable) : null;
+    };
+    const ratioWithCap = (ratio, destination) => {
+      const cap = capFor(destination);
+      return ratio === null || ratio === undefined ? null : cap === null ? ratio : Math.min(ratio, cap);
+    };
 
-      // Limit to 12 zones in standard mode
-      if (zonesToProcess.length > 12) {
-        warnings.push(`ZONES_TRUNCATED: ${zonesToProcess.length} detected, processing first 12`);
-        zonesToProcess = zonesToProcess.slice(0, 12);
+    for (const [destination, count, ratio] of [["LOGEMENT", logements - sociaux, libre], ["LOGEMENT_SOCIAL", sociaux, social]]) {
+      if (count <= 0) continue;
+      const effective = ratioWithCap(ratio, destination);
+      if (effective === null) missing.push(destination);
+      else {
+        // Requirements are rounded up to whole spaces
+        required += Math.ceil(count * effective - 1e-9);
+        counted = true;
       }
     }
+  }
 
-    // 6️⃣ Process zones
-    const zones_rulesets = [];
+  for (const [destination, area] of Object.entries(project.surface_plancher)) {
+    if (destination === "LOGEMENT" || destination === "LOGEMENT_SOCIAL" || area === 0) continue;
+    const rule = destinations.get(destination);
+    if (destination === "HEBERGEMENT_HOTELIER" && rule?.places_par_chambre != null && project.chambres !== null) {
+      required += Math.ceil(project.chambres * rule.places_par_chambre - 1e-9);
+      counted = true;
+      continue;
+    }
+    const per100 = rule?.places_par_100m2 ?? (destinations.size === 0 ? stationnement.places_par_100m2 : null);
+    if (per100 === null || per100 === undefined) {
+      missing.push(destination);
+      continue;
+    }
+    required += Math.ceil((area * per100) / 100 - 1e-9);
+    counted = true;
+  }
 
-    for (const zoneInfo of zonesToProcess) {
-      const { zone_code, zone_libelle } = zoneInfo;
-      console.log(`[PLU-PARSER] Processing zone ${zone_code}...`);
+  if (missing.length > 0) {
+    return { required: null, reason: `RULESET_VALUE_MISSING: ${missing.join(", ")}` };
+  }
+  return counted ? { required, reason: null } : { required: null, reason: "PROJECT_VALUE_MISSING" };
+}
 
-      try {
-        // Build excerpts
-        const excerpts = buildZoneExcerpts(fullText, zone_code);
+/**
+ * Bike storage area (m²) the ruleset requires for the project, or { required: null, reason }.
+ * Per-dwelling rates apply to housing, floor-area rates to the other destinations.
+ */
+function requiredBikeParking(velo, project) {
+  const isHousing = (destination) => destination === "LOGEMENT" || destination === "LOGEMENT_SOCIAL";
+  const areaOf = (housing) =>
+    Object.entries(project.surface_plancher)
+      .filter(([destination]) => isHousing(destination) === housing)
+      .reduce((sum, [, area]) => sum + area, 0);
+  const perDwelling = velo.surface_par_logement_m2 ?? null;
+  const perArea =
+    (velo.surface_par_100m2_m2 ?? null) === null && (velo.pourcentage_surface_plancher ?? null) === null
+      ? null
+      : (velo.surface_par_100m2_m2 ?? 0) / 100 + (velo.pourcentage_surface_plancher ?? 0);
+  let required = 0;
+  let counted = false;
 
-        // Log excerpt lengths for target zone mode
-        if (isTargetZoneMode) {
-          console.log(`[PLU-PARSER] 🎯 Excerpts for ${zone_code}:`);
-          console.log(`  - Article 6: ${excerpts.extrait_article_6.length} chars`);
-          console.log(`  - Article 7: ${excerpts.extrait_article_7.length} chars`);
-          console.log(`  - Article 12: ${excerpts.extrait_article_12.length} chars`);
-          console.log(`  - Article 9: ${excerpts.extrait_article_9.length} chars`);
-          console.log(`  - Article 10: ${excerpts.extrait_article_10.length} chars`);
-          console.log(`  - Fallback: ${excerpts.fallback_context.length} chars`);
-        }
+  if (project.logements !== null && project.logements > 0) {
+    required += (perDwelling ?? 0) * project.logements;
+    counted = true;
+  } else if (project.logements === null && perDwelling !== null && areaOf(true) > 0) {
+    // Housing floor area without a dwelling count: the per-dwelling rate cannot be applied
+    return { required: null, reason: "PROJECT_VALUE_MISSING: logements" };
+  }
 
-        // LLM extraction
-        const rawRuleset = await extractZoneRulesLLM(openai, zone_code, zone_libelle, excerpts);
+  const otherArea = areaOf(false);
+  if (otherArea > 0) {
+    required += (perArea ?? 0) * otherArea;
+    counted = true;
+  }
 
-        // Post-process
-        const ruleset = postProcessZoneRuleset(rawRuleset, zone_code, zone_libelle);
+  return counted ? { required, reason: null } : { required: null, reason: "PROJECT_VALUE_MISSING" };
+}
 
-        zones_rulesets.push({
-          zone_code,
-          zone_libelle: ruleset.zone_libelle,
-          ruleset,
-        });
+function checkCompliance(sourceRuleset, projectInput, options = {}) {
+  const project = parseProject(projectInput);
+  const ruleset = applyStoreyHeight(structuredClone(sourceRuleset), options.storey_height_m ?? DEFAULT_STOREY_HEIGHT_M);
+  const { reculs = {}, hauteur = {}, emprise_sol = {}, stationnement = {}, espaces_verts = {} } = ruleset;
+  const parcelArea = project.parcel_area_m2;
+  const ratioOfParcel = (ratio) => (ratio === null || ratio === undefined || parcelArea === null ? null : ratio * parcelArea);
+  const ratioReason = (ratio) => (ratio !== null && ratio !== undefined && parcelArea === null ? "PROJECT_VALUE_MISSING: parcel_area_m2" : null);
+  const verdicts = [];
 
-        meta.zones_processed++;
-      } catch (err) {
-        console.error(`[PLU-PARSER] Zone ${zone_code} LLM error:`, err.message);
-        warnings.push(`ZONE_${zone_code}_LLM_FAILED`);
+  // Height
+  const heightVerdict = verdict("HAUTEUR_MAX", { required: hauteur.hauteur_max_m, actual: project.hauteur_m, unit: "m", note: hauteur.note, mode: "MAX" });
+  if (hauteur.hauteur_max_source === "NIVEAUX") {
+    // The PLU only limits the storeys: the height in metres depends on the storey height used
+    heightVerdict.reason ??= "ESTIMATED_FROM_NIVEAUX";
+    heightVerdict.storey_height_m = hauteur.hauteur_etage_m;
+  }
+  verdicts.push(heightVerdict);
+  for (const [rule, field, projectField] of [
+    ["HAUTEUR_EGOUT", "hauteur_egout_m", "hauteur_egout_m"],
+    ["HAUTEUR_ACROTERE", "hauteur_acrotere_m", "hauteur_acrotere_m"],
+    ["HAUTEUR_FAITAGE", "hauteur_faitage_m", "hauteur_faitage_m"],
+  ]) {
+    // Only relevant when one side uses that reference point
+    if ((hauteur[field] ?? null) === null && project[projectField] === null) continue;
+    verdicts.push(verdict(rule, { required: hauteur[field], actual: project[projectField], unit: "m", note: hauteur.note, mode: "MAX" }));
+  }
+  if (hauteur.niveaux_max || project.niveaux !== null) {
+    const gabarit = hauteur.niveaux_max;
+    verdicts.push(
+      verdict("NIVEAUX_MAX", {
+        required: gabarit ? 1 + gabarit.etages + (gabarit.combles || gabarit.attique ? 1 : 0) : null,
+        actual: project.niveaux,
+        unit: "niveaux",
+        note: hauteur.note,
+        mode: "MAX",
+      }),
+    );
+  }
 
-        // Add a failed zone with null values
-        zones_rulesets.push({
-          zone_code,
-          zone_libelle: zone_libelle || null,
-          ruleset: {
-            zone_code,
-            zone_libelle: zone_libelle || null,
-            reculs: {
-              voirie: { regle: null, min_m: null, note: "LLM_FAILED" },
-              limites_separatives: { regle: null, min_m: null, note: "LLM_FAILED" },
-              fond_parcelle: { regle: null, min_m: null, note: "LLM_FAILED" },
-              implantation_en_limite: { autorisee: null, note: "LLM_FAILED" },
-            },
-            stationnement: { places_par_logement: null, surface_par_place_m2: null, places_par_100m2: null, note: "LLM_FAILED" },
-            hauteur: { hauteur_max_m: null, note: "LLM_FAILED" },
-            emprise_sol: { emprise_sol_max: null, note: "LLM_FAILED" },
-            articles_source: [],
-          },
-        });
+  // Setbacks: H/2 rules use the project's own height
+  const buildingHeight = project.hauteur_m ?? hauteur.hauteur_max_m ?? null;
+  const setbackRequired = (recul) => {
+    if (!recul || (recul.regle === null && recul.min_m === null)) return null;
+    const setback = resolveSetback(recul, buildingHeight);
+    return setback.known ? setback.distance_m : null;
+  };
+  verdicts.push(
+    verdict("RECUL_VOIRIE", { required: setbackRequired(reculs.voirie), actual: project.recul_voirie_m, unit: "m", note: reculs.voirie?.note, mode: "MIN" }),
+  );
+  if (project.en_limite_separative) {
+    const autorisee = reculs.implantation_en_limite?.autorisee ?? null;
+    verdicts.push({
+      rule: "IMPLANTATION_EN_LIMITE",
+      status: autorisee === null ? "UNKNOWN" : autorisee ? "PASS" : "FAIL",
+      required: autorisee,
+      actual: true,
+      margin: null,
+      unit: null,
+      note: reculs.implantation_en_limite?.note ?? null,
+      reason: autorisee === null ? "RULESET_VALUE_MISSING" : null,
+    });
+  } else {
+    verdicts.push(
+      verdict("RECUL_LIMITES_SEPARATIVES", {
+        required: setbackRequired(reculs.limites_separatives),
+        actual: project.recul_limites_separatives_m,
+        unit: "m",
+        note: reculs.limites_separatives?.note,
+        mode: "MIN",
+      }),
+    );
+  }
+  if (project.recul_fond_parcelle_m !== null) {
+    verdicts.push(
+      verdict("RECUL_FOND_PARCELLE", {
+        required: setbackRequired(reculs.fond_parcelle),
+        actual: project.recul_fond_parcelle_m,
+        unit: "m",
+        note: reculs.fond_parcelle?.note,
+        mode: "MIN",
+      }),
+    );
+  }
+
+  // Footprint and open space
+  verdicts.push(
+    verdict("EMPRISE_SOL", {
+      required: ratioOfParcel(emprise_sol.emprise_sol_max),
+      actual: project.emprise_m2,
+      unit: "m²",
+      note: emprise_sol.note,
+      mode: "MAX",
+      reason: ratioReason(emprise_sol.emprise_sol_max),
+    }),
+  );
+  verdicts.push(
+    verdict("ESPACES_VERTS", {
+      required: ratioOfParcel(espaces_verts.espaces_verts_min),
+      actual: project.espaces_verts_m2,
+      unit: "m²",
+      note: espaces_verts.note,
+      mode: "MIN",
+      reason: ratioReason(espaces_verts.espaces_verts_min),
+    }),
+  );
+  verdicts.push(
+    verdict("PLEINE_TERRE", {
+      required: ratioOfParcel(espaces_verts.pleine_terre_min),
+      actual: project.pleine_terre_m2,
+      unit: "m²",
+      note: espaces_verts.note,
+      mode: "MIN",
+      reason: ratioReason(espaces_verts.pleine_terre_min),
+    }),
+  );
+  if (espaces_verts.coefficient_biotope || project.coefficient_biotope !== null) {
+    verdicts.push(
+      verdict("COEFFICIENT_BIOTOPE", {
+        required: espaces_verts.coefficient_biotope?.cbs_min ?? null,
+        actual: project.coefficient_biotope,
+        unit: null,
+        note: espaces_verts.note,
+        mode: "MIN",
+      }),
+    );
+  }
+
+  // Parking
+  const parking = requiredParking(stationnement, project);
+  verdicts.push(
+    verdict("STATIONNEMENT", {
+      required: parking.required,
+      actual: project.places_stationnement,
+      unit: "places",
+      note: stationnement.note,
+      mode: "MIN",
+      reason: parking.reason,
+    }),
+  );
+  const velo = stationnement.velo;
+  if (velo && (velo.surface_par_logement_m2 !== null || velo.surface_par_100m2_m2 !== null || velo.pourcentage_surface_plancher !== null)) {
+    const bike = requiredBikeParking(velo, project);
+    verdicts.push(
+      verdict("STATIONNEMENT_VELO", {
+        required: bike.required,
+        actual: project.velo_surface_m2,
+        unit: "m²",
+        note: velo.note,
+        mode: "MIN",
+        reason: bike.reason,
+      }),
+    );
+  }
+
+  const count = (status) => verdicts.filter((v) => v.status === status).length;
+  const summary = { pass: count("PASS"), fail: count("FAIL"), unknown: count("UNKNOWN") };
+  return {
+    zone_code: ruleset.zone_code ?? null,
+    status: summary.fail > 0 ? "FAIL" : summary.unknown > 0 ? "UNKNOWN" : "PASS",
+    summary,
+    verdicts,
+  };
+}
+
+/*
+ * POST /api/compliance
+ *   { ruleset | commune_insee + zone_code, project: { hauteur_m, emprise_m2, parcel_area_m2, recul_voirie_m, … } }
+ */
+app.post("/api/compliance", requireClient(), parseJson, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const resolved = await resolveRulesetInput(body);
+    if (resolved.payload) {
+      return res.status(resolved.status).json(resolved.payload);
+    }
+    const { ruleset, plu_version_label } = resolved;
+
+    const options = {};
+    if (body.storey_height_m !== undefined && body.storey_height_m !== null) {
+      options.storey_height_m = Number(body.storey_height_m);
+      if (!(options.storey_height_m >= 2 && options.storey_height_m <= 6)) {
+        return res.status(400).json({ success: false, error: "INVALID_STOREY_HEIGHT", message: "storey_height_m must be between 2 and 6" });
       }
     }
 
-    meta.warnings = warnings;
+    const result = checkCompliance(ruleset, body.project, options);
+    console.log(
+      `[PLU-PARSER] Compliance ${result.zone_code}: ${result.status} (${result.summary.pass} pass, ${result.summary.fail} fail, ${result.summary.unknown} unknown)`,
+    );
+    return res.json({ success: true, plu_version_label, ...result });
+  } catch (err) {
+    if (err instanceof ComplianceError) {
+      return res.status(400).json({ success: false, error: err.code, message: err.message });
+    }
+    console.error("[PLU-PARSER] Compliance error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "PLU_PARSER_INTERNAL_ERROR",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+});
 
-    // 7️⃣ Return result
-    const success = zones_rulesets.some(
-      (z) => z.ruleset && !z.ruleset.reculs?.voirie?.note?.includes("LLM_FAILED")
+// ─────────────────────────────────────────────────────────────────────────────
+// PLU STRUCTURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * POST /api/plu-structure — same document inputs as /api/plu-parse (no LLM):
+ *   { success, commune_insee, source_document, reglement_structure, toc, tree, meta }
+ */
+app.post("/api/plu-structure", requireClient(), parseDocumentJson, handleUpload, async (req, res) => {
+  const body = req.body || {};
+  try {
+    let sourceDocs;
+    try {
+      sourceDocs = resolveSourceDocuments(body, req.files);
+    } catch (err) {
+      if (err instanceof SourceDocumentError) {
+        return res.status(400).json({ success: false, error: err.code, message: err.message });
+      }
+      throw err;
+    }
+    if (sourceDocs.length === 0) {
+      return res.status(400).json({ success: false, error: "MISSING_PARAMS" });
+    }
+
+    const ocrMode = parseOcrMode(body.ocr);
+    if (!ocrMode) {
+      return res.status(400).json({ success: false, error: "INVALID_OCR_MODE", message: `ocr must be one of ${OCR_MODES.join(", ")}` });
+    }
+
+    const forceRefresh = body.force_refresh === true || body.force_refresh === "true";
+    const loaded = await loadSourceText(sourceDocs, { forceRefresh, ocrMode });
+    if (loaded.payload) {
+      return res.status(loaded.status).json(loaded.payload);
+    }
+    const { fullText, pageIndex } = loaded;
+    if (!fullText || fullText.length < 100) {
+      return res.status(400).json({ success: false, error: "PDF_EMPTY_OR_UNREADABLE", ocr: loaded.ocr, warnings: loaded.warnings });
+    }
+
+    const { toc, nodes } = buildReglementTree(fullText);
+    const counts = { TITRE: 0, CHAPITRE: 0, ZONE: 0, SECTION: 0, ARTICLE: 0 };
+    walkTree(nodes, (node) => counts[node.type]++);
+    console.log(
+      `[PLU-PARSER] 🗂️ Structure: ${counts.ZONE} zones, ${counts.ARTICLE} articles, ${toc.length} TOC entries`,
     );
 
     return res.json({
-      success,
-      commune_insee,
-      commune_nom: commune_nom || null,
-      plu_version_label,
-      source_document: source_pdf_url,
-      zones_rulesets,
-      meta,
+      success: true,
+      commune_insee: body.commune_insee || null,
+      source_document: buildSourceDocumentField(sourceDocs),
+      reglement_structure: detectReglementStructure(fullText),
+      toc: toc.map(({ char_start, ...entry }) => entry),
+      tree: attachPageRanges(nodes, pageIndex),
+      zones: describeSegments(fullText, pageIndex),
+      meta: {
+        parser_version: PARSER_VERSION,
+        chars: fullText.length,
+        pages: pageIndex.length,
+        nodes: counts,
+        ocr: loaded.ocr,
+        warnings: loaded.warnings,
+      },
     });
   } catch (err) {
-    console.error("[PLU-PARSER] Unexpected error:", err);
+    console.error("[PLU-PARSER] Structure error:", err);
     return res.status(500).json({
       success: false,
       error: "PLU_PARSER_INTERNAL_ERROR",
@@ -851,6 +6296,201 @@ app.post("/api/plu-parse", async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ PLU parser server listening on port ${PORT}`);
-});
\ No newline at end of file
+// ─────────────────────────────────────────────────────────────────────────────
+// CLIENT ADMIN (KEYS, LIMITS, USAGE)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * Admin clients only:
+ * GET    /api/plu-admin/clients                    → clients, limits, key ids, usage this month
+ * PUT    /api/plu-admin/clients/:name              { rate_limit_per_minute?, monthly_zone_quota?, admin?, disabled? }
+ * POST   /api/plu-admin/clients/:name/keys         { previous_keys_valid_for_s? } → new key, shown once
+ * DELETE /api/plu-admin/clients/:name/keys/:id     → revoke a key now
+ * GET    /api/plu-admin/usage?month=YYYY-MM        → usage of every client that month
+ * Rotation: create a key, deploy it, then let the previous ones expire
+ * (previous_keys_valid_for_s) or revoke them.
+ */
+
+function clientView(name, client) {
+  return {
+    name,
+    admin: client.admin === true,
+    disabled: client.disabled === true,
+    rate_limit_per_minute: client.rate_limit_per_minute ?? null,
+    monthly_zone_quota: client.monthly_zone_quota ?? null,
+    keys: (client.keys || []).map(({ id, created_at, expires_at }) => ({ id, created_at, expires_at: expires_at ?? null })),
+    usage: usageFor(name),
+  };
+}
+
+// Non-negative integer or null; undefined when the field is invalid
+function parseLimit(value) {
+  if (value === null) return null;
+  return Number.isInteger(value) && value >= 0 ? value : undefined;
+}
+
+app.get("/api/plu-admin/clients", requireClient({ admin: true }), (req, res) => {
+  refreshApiKeys({ force: true });
+  return res.json({
+    success: true,
+    clients: Object.entries(apiKeys.clients).map(([name, client]) => clientView(name, client)),
+  });
+});
+
+app.put("/api/plu-admin/clients/:name", requireClient({ admin: true }), parseJson, async (req, res) => {
+  const { name } = req.params;
+  if (!CLIENT_NAME_PATTERN.test(name) || name === LEGACY_CLIENT_NAME) {
+    return res.status(400).json({ success: false, error: "INVALID_CLIENT_NAME" });
+  }
+
+  const body = req.body || {};
+  const changes = {};
+  for (const field of ["rate_limit_per_minute", "monthly_zone_quota"]) {
+    if (body[field] === undefined) continue;
+    const limit = parseLimit(body[field]);
+    if (limit === undefined) {
+      return res.status(400).json({ success: false, error: "INVALID_LIMIT", message: `${field} must be a non-negative integer or null` });
+    }
+    changes[field] = limit;
+  }
+  for (const field of ["admin", "disabled"]) {
+    if (body[field] !== undefined) changes[field] = body[field] === true;
+  }
+
+  let client;
+  try {
+    client = await saveApiClient(name, (current) => ({
+      keys: [],
+      rate_limit_per_minute: null,
+      monthly_zone_quota: null,
+      admin: false,
+      disabled: false,
+      ...current,
+      ...changes,
+    }));
+  } catch (err) {
+    console.error("[PLU-PARSER] API keys write error:", err.message);
+    return res.status(500).json({ success: false, error: "API_KEYS_WRITE_ERROR", message: err.message });
+  }
+  console.log(`[PLU-PARSER] 🔑 Client ${name} updated`);
+  return res.json({ success: true, client: clientView(name, client) });
+});
+
+app.post("/api/plu-admin/clients/:name/keys", requireClient({ admin: true }), parseJson, async (req, res) => {
+  const { name } = req.params;
+  const graceS = (req.body || {}).previous_keys_valid_for_s;
+  if (graceS !== undefined && !(Number.isInteger(graceS) && graceS >= 0)) {
+    return res.status(400).json({ success: false, error: "INVALID_GRACE_PERIOD", message: "previous_keys_valid_for_s must be a non-negative integer" });
+  }
+
+  const key = `plu_${randomBytes(24).toString("base64url")}`;
+  const now = new Date();
+  const expiresAt = graceS === undefined ? null : new Date(now.getTime() + graceS * 1000).toISOString();
+  const entry = { id: randomBytes(4).toString("hex"), sha256: sha256(key), created_at: now.toISOString(), expires_at: null };
+
+  let client;
+  try {
+    client = await saveApiClient(name, (current) => {
+      if (!current) return null;
+      const keys = (current.keys || []).map((k) =>
+        expiresAt && (!k.expires_at || k.expires_at > expiresAt) ? { ...k, expires_at: expiresAt } : k,
+      );
+      return { ...current, keys: [...keys, entry] };
+    });
+  } catch (err) {
+    console.error("[PLU-PARSER] API keys write error:", err.message);
+    return res.status(500).json({ success: false, error: "API_KEYS_WRITE_ERROR", message: err.message });
+  }
+  if (!client) {
+    return res.status(404).json({ success: false, error: "CLIENT_NOT_FOUND" });
+  }
+  console.log(`[PLU-PARSER] 🔑 Client ${name}: key ${entry.id} created${expiresAt ? `, previous keys expire at ${expiresAt}` : ""}`);
+  return res.status(201).json({ success: true, key_id: entry.id, key, client: clientView(name, client) });
+});
+
+app.delete("/api/plu-admin/clients/:name/keys/:id", requireClient({ admin: true }), async (req, res) => {
+  const { name, id } = req.params;
+  let client;
+  try {
+    client = await saveApiClient(name, (current) =>
+      current && (current.keys || []).some((k) => k.id === id) ? { ...current, keys: current.keys.filter((k) => k.id !== id) } : null,
+    );
+  } catch (err) {
+    console.error("[PLU-PARSER] API keys write error:", err.message);
+    return res.status(500).json({ success: false, error: "API_KEYS_WRITE_ERROR", message: err.message });
+  }
+  if (!client) {
+    return res.status(404).json({ success: false, error: "KEY_NOT_FOUND" });
+  }
+  console.log(`[PLU-PARSER] 🔑 Client ${name}: key ${id} revoked`);
+  return res.json({ success: true, client: clientView(name, client) });
+});
+
+app.get("/api/plu-admin/usage", requireClient({ admin: true }), (req, res) => {
+  const month = req.query.month || currentMonth();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ success: false, error: "INVALID_MONTH", message: "month must be YYYY-MM" });
+  }
+  const clients = loadUsage().months[month] || {};
+  const totals = {};
+  for (const counters of Object.values(clients)) {
+    for (const [key, value] of Object.entries(counters)) totals[key] = (totals[key] || 0) + value;
+  }
+  return res.json({ success: true, month, clients, totals });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CACHE ADMIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/*
+ * DELETE /api/plu-cache                         → clear everything
+ * DELETE /api/plu-cache?pdf_sha256=<hash>       → text, OCR + rulesets of that PDF
+ * DELETE /api/plu-cache?level=ruleset           → all rulesets (e.g. after a prompt fix)
+ * DELETE /api/plu-cache?level=commune           → latest ruleset per commune zone
+ * Admin clients only.
+ */
+app.delete("/api/plu-cache", requireClient({ admin: true }), async (req, res) => {
+  if (!cacheStore) {
+    return res.json({ success: true, store: "none", removed: 0 });
+  }
+
+  const { pdf_sha256, level } = req.query;
+  if (level && !["text", "ocr", "ruleset", "commune"].includes(level)) {
+    return res.status(400).json({ success: false, error: "INVALID_CACHE_LEVEL" });
+  }
+
+  try {
+    let removed = 0;
+    if (pdf_sha256) {
+      // A multi-document ruleset key holds the combined hash: only single-PDF rulesets are matched here
+      if (!level || level === "text") removed += await cacheStore.clear(`text:${pdf_sha256}:`);
+      if (!level || level === "ocr") removed += await cacheStore.clear(`ocr:${pdf_sha256}:`);
+      if (!level || level === "ruleset") removed += await cacheStore.clear(`ruleset:${pdf_sha256}:`);
+    } else {
+      removed = await cacheStore.clear(level ? `${level}:` : "");
+    }
+    console.log(`[PLU-PARSER] Cache cleared: ${removed} entries`);
+    return res.json({ success: true, store: cacheStore.name, removed });
+  } catch (err) {
+    console.error("[PLU-PARSER] Cache clear error:", err.message);
+    return res.status(500).json({ success: false, error: "CACHE_CLEAR_ERROR", message: err.message });
+  }
+});
+
+// Listen only when started directly: batch.js and evaluate.js import the pipeline
+function isEntryModule() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch {
+    return false;
+  }
+}
+
+if (isEntryModule()) {
+  app.listen(PORT, () => {
+    console.log(`✅ PLU parser server listening on port ${PORT}`);
+  });
+}
+
+export { app, runPluParse, createLLMBackend, zoneType, DIFF_FIELDS, PARSER_VERSION };
\ No newline at end of file